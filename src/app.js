@@ -2,10 +2,21 @@
 
 const express = require('express');
 const { handlePubSubRequest } = require('./handler');
-const { flushPendingBatch } = require('./batchProcessor'); 
+const { getTableInfo, bigquery, resumeLoadJobs, BQ_LOAD_EVENT_TYPES } = require('./bq');
+const { SINK_TYPE } = require('./sink');
+const { listDestinations } = require('./routing');
+const { verifyProjectionSchema } = require('./projection');
+const { migrate } = require('./migrate');
+const { bigQueryBreaker } = require('./circuitBreaker');
+const { trackInFlightRequests, gracefulShutdown } = require('./shutdown');
+const { checkReadiness, getStatus } = require('./health');
+const { registry, PROMETHEUS_CONTENT_TYPE } = require('./metrics');
+const { pushAuthMiddleware } = require('./pushAuth');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const PROJECTION_SCHEMA_CHECK = process.env.PROJECTION_SCHEMA_CHECK !== 'false';
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE === 'true';
 
 app.use(express.json());
 
@@ -13,25 +24,59 @@ app.get('/', (req, res) => {
   res.send('DriveHealth ETL Service is running!');
 });
 
-app.post('/pubsub', handlePubSubRequest);
-
-// fix: Graceful shutdown now flushes the pending batch.
-process.on('SIGTERM', async () => {
-  console.log('Received SIGTERM. Flushing pending batch...');
-  try {
-    await flushPendingBatch();
-    console.log('Batch flushed. Shutting down gracefully.');
-    process.exit(0);
-  } catch (error) {
-    console.error('Error during shutdown flush:', error);
-    process.exit(1);
-  }
+// Liveness: the process is up and serving HTTP.
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.get('/readyz', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+app.get('/status', async (req, res) => {
+  res.json(await getStatus());
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(registry.render());
+});
+
+app.post('/pubsub', trackInFlightRequests, pushAuthMiddleware, handlePubSubRequest);
+
+app.get('/admin/circuit-breaker', pushAuthMiddleware, (req, res) => {
+  res.json(bigQueryBreaker.getState());
 });
 
 module.exports = app;
 
-if (require.main === module) {
-  app.listen(PORT, () => {
+async function start() {
+  // Create missing datasets/tables and add new columns before anything checks the schema.
+  if (SINK_TYPE === 'bigquery' && AUTO_MIGRATE) {
+    await migrate({ client: bigquery });
+  }
+  // Fail fast if a projected column is missing from (or mistyped in) a destination table.
+  if (SINK_TYPE === 'bigquery' && PROJECTION_SCHEMA_CHECK) {
+    await verifyProjectionSchema(getTableInfo, listDestinations);
+  }
+  // Commit staged load-job files an earlier instance left behind.
+  if (SINK_TYPE === 'bigquery' && BQ_LOAD_EVENT_TYPES.length > 0) {
+    resumeLoadJobs();
+  }
+  const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  // Stop intake, drain in-flight requests and flush batches before exiting (see shutdown.js).
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => gracefulShutdown({ server, signal }));
+  }
+  return server;
+}
+
+if (require.main === module) {
+  start().catch(error => {
+    console.error('Startup check failed:', error.message);
+    process.exit(1);
+  });
 }
\ No newline at end of file
@@ -7,6 +7,8 @@ const app = require('./app');
 // Mock the BigQuery module to prevent actual API calls.
 jest.mock('./bq', () => ({
   writeBatchToBigQuery: jest.fn(),
+  getTableInfo: jest.fn(),
+  BQ_LOAD_EVENT_TYPES: [],
 }));
 
 // Mock the validation module to control its output in tests.
@@ -16,12 +18,14 @@ jest.mock('./validation', () => ({
 
 // Mock the sampling module to ensure events are always processed in tests.
 jest.mock('./sampling', () => ({
-  evaluateSampling: jest.fn().mockReturnValue(true),
+  evaluateSampling: jest.fn().mockReturnValue({ sampled: true, reason: 'hashed' }),
+  isSamplingRuleTenant: jest.fn(tenantId => tenantId === 'tenant-123'),
 }));
 // --- End Mocks ---
 
 // Import the mocked modules *after* the jest.mock calls.
-const { writeBatchToBigQuery } = require('./bq');
+const { writeBatchToBigQuery, getTableInfo } = require('./bq');
+const { resetReadinessCache } = require('./health');
 const { validateAndExtractKey } = require('./validation');
 
 
@@ -89,4 +93,115 @@ describe('POST /pubsub Endpoint', () => {
     expect(response.status).toBe(503);
     expect(response.text).toContain('Internal Server Error');
   });
-});
\ No newline at end of file
+});
+
+describe('Health and status endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetReadinessCache();
+  });
+
+  test('GET /healthz should return 200 without touching BigQuery', async () => {
+    const response = await request(app).get('/healthz');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ status: 'ok' });
+    expect(getTableInfo).not.toHaveBeenCalled();
+  });
+
+  test('GET /readyz should return 200 when the destination table is reachable', async () => {
+    getTableInfo.mockResolvedValue({ tableId: 'events', numRows: '10' });
+
+    const response = await request(app).get('/readyz');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('ready');
+    expect(response.body.checks.tables.tables).toEqual([{ table: 'drivehealth_dw.events', reachable: true }]);
+  });
+
+  test('GET /readyz should return 503 when the destination table cannot be reached', async () => {
+    getTableInfo.mockRejectedValue(new Error('Not found: Table drivehealth_dw.events'));
+
+    const response = await request(app).get('/readyz');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('not_ready');
+    expect(response.body.checks.tables.tables[0]).toMatchObject({ reachable: false, error: 'Not found: Table drivehealth_dw.events' });
+  });
+
+  test('GET /status should report batch state, config, tables and version', async () => {
+    getTableInfo.mockResolvedValue({ tableId: 'events', numRows: '10' });
+
+    const response = await request(app).get('/status');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      version: require('../package.json').version,
+      sink: 'bigquery',
+      shutting_down: false,
+      config: { SINK_TYPE: 'bigquery', BQ_DATASET: 'drivehealth_dw', BQ_TABLE: 'events' },
+      tables: [{ table: 'drivehealth_dw.events', reachable: true, info: { tableId: 'events', numRows: '10' } }],
+    });
+    expect(response.body.batch).toHaveProperty('currentBatchSize');
+    expect(response.body.uptime_sec).toBeGreaterThanOrEqual(0);
+  });
+
+  test('GET /status should reuse recent table metadata instead of looking it up per request', async () => {
+    getTableInfo.mockResolvedValue({ tableId: 'events', numRows: '10' });
+
+    await Promise.all([request(app).get('/status'), request(app).get('/status')]);
+    await request(app).get('/status');
+
+    expect(getTableInfo).toHaveBeenCalledTimes(1);
+  });
+
+  test('GET /admin/circuit-breaker should require a push token when push auth is enabled', async () => {
+    let securedApp;
+    jest.isolateModules(() => {
+      process.env.PUSH_AUTH_ENABLED = 'true';
+      process.env.PUSH_AUTH_AUDIENCE = 'https://etl.example.run.app/pubsub';
+      try {
+        securedApp = require('./app');
+      } finally {
+        delete process.env.PUSH_AUTH_ENABLED;
+        delete process.env.PUSH_AUTH_AUDIENCE;
+      }
+    });
+
+    expect((await request(securedApp).get('/admin/circuit-breaker')).status).toBe(401);
+    expect((await request(app).get('/admin/circuit-breaker')).status).toBe(200);
+  });
+});
+
+describe('GET /metrics', () => {
+  test('should expose message outcomes and ingestion lag in Prometheus text format', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'metrics-key' });
+    writeBatchToBigQuery.mockResolvedValue({ success: true, count: 1 });
+
+    const event = { tenant_id: 'tenant-123', event_type: 'test_event', occurred_at: new Date(Date.now() - 2000).toISOString() };
+    await request(app).post('/pubsub').send(createPubSubMessage(event));
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0.0.4/);
+    expect(response.text).toMatch(/etl_messages_total\{outcome="written",error_type="none"\} \d+/);
+    expect(response.text).toContain('etl_sampling_decisions_total{tenant_id="tenant-123",decision="sampled",reason="hashed"}');
+    expect(response.text).toContain('etl_ingestion_lag_seconds_count{event_type="other"} 1');
+    expect(response.text).toContain('# TYPE etl_batch_queue_rows gauge');
+  });
+
+  test('should label only registered event types and sampling-rule tenants', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'metrics-key-2' });
+    writeBatchToBigQuery.mockResolvedValue({ success: true, count: 1 });
+
+    const occurredAt = new Date(Date.now() - 2000).toISOString();
+    await request(app).post('/pubsub').send(createPubSubMessage({ tenant_id: 'tenant-123', event_type: 'call.summary', occurred_at: occurredAt }));
+    await request(app).post('/pubsub').send(createPubSubMessage({ tenant_id: 'org-random-42', event_type: 'made.up.type', occurred_at: occurredAt }));
+    const response = await request(app).get('/metrics');
+
+    expect(response.text).toContain('etl_ingestion_lag_seconds_count{event_type="call.summary"} 1');
+    expect(response.text).toContain('etl_sampling_decisions_total{tenant_id="other",decision="sampled",reason="hashed"} 1');
+    expect(response.text).not.toContain('made.up.type');
+    expect(response.text).not.toContain('org-random-42');
+  });
+});
@@ -1,18 +1,50 @@
 // src/batchProcessor.js
-// Handles micro-batching logic for BigQuery inserts.
+// Handles micro-batching logic for sink (BigQuery or file) writes.
 
 const { logger } = require('./logger');
-const { writeBatchToBigQuery } = require('./bq');
+const { writeBatch } = require('./sink');
+const { resolveDestination, destinationKey } = require('./routing');
+const { isSinkFailure, CB_OPEN_STATUS_CODE } = require('./circuitBreaker');
+const { batchSize, flushDuration } = require('./metrics');
 
 // highlight: Config defaults updated for immediate flush as the base plan.
 const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 1;
 const MAX_BATCH_WAIT_MS = parseInt(process.env.MAX_BATCH_WAIT_MS) || 0; // fix: Default to 0 for immediate flush
 const ENABLE_BATCHING = MAX_BATCH_SIZE > 1;
+const RESUBMIT_MAX_ATTEMPTS = parseInt(process.env.RESUBMIT_MAX_ATTEMPTS ?? '2', 10);
+// BigQuery rejects insert requests over 10 MB; stay under it with room for request overhead.
+const MAX_BATCH_BYTES = parseInt(process.env.MAX_BATCH_BYTES) || 9 * 1024 * 1024;
+
+// Adaptive mode: grow the target batch size while inserts are fast and clean, halve it when they are slow or failing.
+const ADAPTIVE_BATCHING = process.env.ADAPTIVE_BATCHING === 'true';
+const ADAPTIVE_MIN_BATCH_SIZE = parseInt(process.env.ADAPTIVE_MIN_BATCH_SIZE) || 1;
+const ADAPTIVE_MAX_BATCH_SIZE = parseInt(process.env.ADAPTIVE_MAX_BATCH_SIZE) || MAX_BATCH_SIZE * 4;
+const ADAPTIVE_TARGET_LATENCY_MS = parseInt(process.env.ADAPTIVE_TARGET_LATENCY_MS) || 1000;
+const ADAPTIVE_MAX_ERROR_RATE = parseFloat(process.env.ADAPTIVE_MAX_ERROR_RATE || '0.1');
+const ADAPTIVE_WINDOW = 10;
+
+// Caps how many flushes may be writing at once; extra flushes wait for a free slot.
+const MAX_CONCURRENT_FLUSHES = parseInt(process.env.MAX_CONCURRENT_FLUSHES) || 4;
+
+// Row error reasons that only mean "not written because of a neighbour" and are safe to write again.
+const RESUBMITTABLE_REASONS = new Set(['stopped', 'timeout']);
 
 // Batch state management
 let batchQueue = [];
 let batchTimer = null;
 let pendingBatchResponses = [];
+let batchBytes = 0;
+
+// Adaptive sizing state
+let targetBatchSize = MAX_BATCH_SIZE;
+let recentFlushes = []; // { latencyMs, failed }, most recent last
+
+// Flush concurrency state
+let flushSequence = 0;
+let runningFlushes = 0;
+const flushWaiters = [];
+const inFlightFlushes = new Map(); // flushId -> { id, rows, destinations, startedAt }
+const activeFlushes = new Set(); // promises for every flush that has been started, waiting or writing
 
 /**
  * Maps a BigQuery row error reason to a proper HTTP status and error type.
@@ -35,82 +67,235 @@ function mapBqErrorReason(reason) {
   }
 }
 
+function acquireFlushSlot() {
+  if (runningFlushes < MAX_CONCURRENT_FLUSHES) {
+    runningFlushes++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => flushWaiters.push(resolve));
+}
+
+function releaseFlushSlot() {
+  const next = flushWaiters.shift();
+  if (next) {
+    // Hand the slot straight to the next waiting flush.
+    next();
+  } else {
+    runningFlushes--;
+  }
+}
+
 /**
- * Flushes the current batch to BigQuery with per-row error handling.
+ * Takes everything queued and flushes it once a concurrency slot is free.
+ * @returns {Promise<void>} - Resolves when every row in the snapshot has been resolved.
  */
-async function flushBatch() {
-  if (batchQueue.length === 0) return;
+function flushBatch() {
+  if (batchQueue.length === 0) return Promise.resolve();
 
   const currentBatch = [...batchQueue];
   const currentResponses = [...pendingBatchResponses];
   batchQueue.length = 0;
   pendingBatchResponses.length = 0;
+  batchBytes = 0;
   if (batchTimer) {
     clearTimeout(batchTimer);
     batchTimer = null;
   }
 
+  const flushId = ++flushSequence;
+  const flushPromise = runFlush(flushId, currentBatch, currentResponses);
+  activeFlushes.add(flushPromise);
+  flushPromise.finally(() => activeFlushes.delete(flushPromise));
+  return flushPromise;
+}
+
+/**
+ * Flushes one snapshot with one write per destination table.
+ */
+async function runFlush(flushId, currentBatch, currentResponses) {
   const batchStartTime = Date.now();
-  logger.info('Processing batch', { batch_size: currentBatch.length });
+  await acquireFlushSlot();
 
+  // Group rows by destination; each group keeps its responses in the same order as its rows.
+  const groups = new Map();
+  currentBatch.forEach((event, index) => {
+    const destination = resolveDestination(event.envelope);
+    const key = destinationKey(destination);
+    if (!groups.has(key)) {
+      groups.set(key, { destination, events: [], responses: [] });
+    }
+    groups.get(key).events.push(event);
+    groups.get(key).responses.push(currentResponses[index]);
+  });
+
+  inFlightFlushes.set(flushId, {
+    id: flushId,
+    rows: currentBatch.length,
+    destinations: [...groups.keys()],
+    startedAt: Date.now()
+  });
+  logger.info('Processing batch', {
+    flush_id: flushId,
+    batch_size: currentBatch.length,
+    destination_count: groups.size,
+    queue_wait_ms: Date.now() - batchStartTime
+  });
+
+  batchSize.observe({}, currentBatch.length);
   try {
-    const writeResult = await writeBatchToBigQuery(currentBatch);
-    const batchProcessingTime = Date.now() - batchStartTime;
-
-    // fix: Explicitly check writeResult.success to handle both returns and throws.
-    if (writeResult.success) {
-      // All rows succeeded.
-      currentResponses.forEach(({ resolve }) => resolve({ success: true, statusCode: 204, processingTime: batchProcessingTime }));
-    } else {
+    await Promise.all([...groups.values()].map(group => flushGroup(group, batchStartTime)));
+  } finally {
+    flushDuration.observe({}, (Date.now() - batchStartTime) / 1000);
+    inFlightFlushes.delete(flushId);
+    releaseFlushSlot();
+  }
+}
+
+/**
+ * Writes one destination's rows and resolves each waiting request with per-row error handling.
+ * Rows BigQuery reports as 'stopped' or 'timeout' were collateral damage of another row's failure,
+ * so they are written again on their own (up to RESUBMIT_MAX_ATTEMPTS) before we give up with a 503.
+ */
+async function flushGroup({ destination, events, responses }, batchStartTime) {
+  // Indexes (into events/responses) still waiting for a successful write.
+  let pending = events.map((_, index) => index);
+  let attempt = 0;
+
+  try {
+    while (pending.length > 0) {
+      const writeStartTime = Date.now();
+      // A half-open probe slot reserved by one of the queued requests covers this write.
+      const permit = pending.map(index => responses[index].writePermit).find(p => p?.probe && p.isHeld());
+      const writeResult = await writeBatch(pending.map(index => events[index]), destination, { permit });
+      const batchProcessingTime = Date.now() - batchStartTime;
+      recordFlushOutcome(Date.now() - writeStartTime, isSinkFailure(writeResult));
+
+      // fix: Explicitly check writeResult.success to handle both returns and throws.
+      if (writeResult.success) {
+        // All rows succeeded.
+        pending.forEach(index => responses[index].resolve({ success: true, statusCode: 204, processingTime: batchProcessingTime }));
+        return;
+      }
+
       // fix: Per-row error mapping for partial and total failures.
       const bqError = writeResult.errors[0];
-      if (bqError.name === 'PartialFailureError' && bqError.errors?.length > 0) {
-        // --- PARTIAL FAILURE ---
-        logger.warn('Batch write partial failure', {
-          success_count: currentBatch.length - bqError.errors.length,
-          failure_count: bqError.errors.length
-        });
-        const failedRowDetails = new Map(bqError.errors.map(e => [e.index, e.errors[0]]));
-        
-        currentResponses.forEach(({ resolve }, index) => {
-          if (failedRowDetails.has(index)) {
-            const rowError = failedRowDetails.get(index);
-            const errorCategory = mapBqErrorReason(rowError.reason);
-            
-            // For duplicates, we resolve as success (204).
-            if (errorCategory.errorType === 'duplicate') {
-              resolve({ success: true, statusCode: 204, processingTime: batchProcessingTime });
-            } else {
-              resolve({ success: false, ...errorCategory, error: rowError.message, processingTime: batchProcessingTime });
-            }
-          } else {
-            // This row was successful.
-            resolve({ success: true, statusCode: 204, processingTime: batchProcessingTime });
-          }
-        });
-      } else {
+      if (!(bqError.name === 'PartialFailureError' && bqError.errors?.length > 0)) {
         // --- TOTAL FAILURE ---
-        logger.error('Batch write failed completely', { error: bqError.message });
-        currentResponses.forEach(({ resolve }) => resolve({ success: false, statusCode: 503, isTerminal: false, error: bqError.message, processingTime: batchProcessingTime }));
+        logger.error('Batch write failed completely', { destination: destinationKey(destination), error: bqError.message });
+        const failure = categorizeWriteFailure(bqError);
+        pending.forEach(index => responses[index].resolve({ success: false, ...failure, error: bqError.message, processingTime: batchProcessingTime }));
+        return;
       }
+
+      // --- PARTIAL FAILURE ---
+      const failedRowDetails = new Map(bqError.errors.map(e => [e.index, e.errors[0]]));
+      const canResubmit = attempt < RESUBMIT_MAX_ATTEMPTS;
+      const resubmit = [];
+
+      pending.forEach((index, position) => {
+        const { resolve } = responses[index];
+        if (!failedRowDetails.has(position)) {
+          // This row was successful.
+          resolve({ success: true, statusCode: 204, processingTime: batchProcessingTime });
+          return;
+        }
+
+        const rowError = failedRowDetails.get(position);
+        const errorCategory = mapBqErrorReason(rowError.reason);
+        if (errorCategory.errorType === 'duplicate') {
+          // For duplicates, we resolve as success (204).
+          resolve({ success: true, statusCode: 204, processingTime: batchProcessingTime });
+        } else if (canResubmit && RESUBMITTABLE_REASONS.has(rowError.reason)) {
+          resubmit.push(index);
+        } else {
+          resolve({ success: false, ...errorCategory, error: rowError.message, processingTime: batchProcessingTime });
+        }
+      });
+
+      logger.warn('Batch write partial failure', {
+        destination: destinationKey(destination),
+        attempt: attempt + 1,
+        success_count: pending.length - bqError.errors.length,
+        failure_count: bqError.errors.length,
+        resubmit_count: resubmit.length
+      });
+
+      pending = resubmit;
+      attempt++;
     }
   } catch (unexpectedError) {
     // Fallback for unexpected Javascript errors.
-    logger.error('Unexpected error during flushBatch', { error: unexpectedError.message });
-    currentResponses.forEach(({ resolve }) => resolve({ success: false, statusCode: 500, isTerminal: false, error: 'Unexpected batch processing error.' }));
+    logger.error('Unexpected error during flushBatch', { destination: destinationKey(destination), error: unexpectedError.message });
+    pending.forEach(index => responses[index].resolve({ success: false, statusCode: 500, isTerminal: false, errorType: 'transient_error', error: 'Unexpected batch processing error.' }));
+  }
+}
+
+/**
+ * Categorizes a write that failed as a whole, like handler.categorizeError does for single writes,
+ * so the escalation policy can tell an open circuit (nothing was written) from a failed write.
+ */
+function categorizeWriteFailure(error) {
+  if (error?.name === 'CircuitOpenError') {
+    return { isTerminal: false, statusCode: CB_OPEN_STATUS_CODE, errorType: 'circuit_open' };
+  }
+  return { isTerminal: false, statusCode: 503, errorType: 'transient_error' };
+}
+
+/**
+ * Feeds one write's latency and outcome into adaptive sizing.
+ */
+function recordFlushOutcome(latencyMs, failed) {
+  if (!ADAPTIVE_BATCHING) return;
+
+  recentFlushes.push({ latencyMs, failed });
+  if (recentFlushes.length > ADAPTIVE_WINDOW) recentFlushes.shift();
+
+  const errorRate = recentFlushes.filter(f => f.failed).length / recentFlushes.length;
+  const previousTarget = targetBatchSize;
+
+  if (failed || latencyMs > ADAPTIVE_TARGET_LATENCY_MS || errorRate > ADAPTIVE_MAX_ERROR_RATE) {
+    targetBatchSize = Math.max(ADAPTIVE_MIN_BATCH_SIZE, Math.floor(targetBatchSize / 2));
+  } else if (latencyMs < ADAPTIVE_TARGET_LATENCY_MS / 2) {
+    targetBatchSize = Math.min(ADAPTIVE_MAX_BATCH_SIZE, targetBatchSize + Math.max(1, Math.ceil(targetBatchSize * 0.1)));
+  }
+
+  if (targetBatchSize !== previousTarget) {
+    logger.info('Adaptive batch size changed', {
+      from: previousTarget,
+      to: targetBatchSize,
+      latency_ms: latencyMs,
+      error_rate: errorRate
+    });
   }
 }
 
+/**
+ * Rough serialized size of a queued row, used to keep requests under MAX_BATCH_BYTES.
+ */
+function estimateRowBytes(envelope, processedPayload) {
+  return Buffer.byteLength(JSON.stringify(envelope)) + Buffer.byteLength(JSON.stringify(processedPayload));
+}
+
 /**
  * Adds a processed message to the batch queue.
+ * Flushes on whichever comes first: the target row count, MAX_BATCH_BYTES or MAX_BATCH_WAIT_MS.
+ * writePermit is the sink permit the request acquired (see acquireWritePermit); the flush writes under it.
  * @returns {Promise<Object>} - A promise that resolves when the batch is flushed.
  */
-function queueForBatch(envelope, processedPayload, idempotencyKey, originalProcessingTime, logMetadata) {
+function queueForBatch(envelope, processedPayload, idempotencyKey, originalProcessingTime, logMetadata, rowContext = {}, writePermit = null) {
   return new Promise((resolve) => {
-    batchQueue.push({ envelope, processedPayload, idempotencyKey });
-    pendingBatchResponses.push({ resolve, originalProcessingTime, logMetadata, envelope, idempotencyKey });
+    const rowBytes = estimateRowBytes(envelope, processedPayload);
+
+    // Flush what's queued first if this row would push the request over the byte limit.
+    if (batchQueue.length > 0 && batchBytes + rowBytes > MAX_BATCH_BYTES) {
+      flushBatch();
+    }
 
-    if (batchQueue.length >= MAX_BATCH_SIZE) {
+    batchQueue.push({ envelope, processedPayload, idempotencyKey, rowContext });
+    pendingBatchResponses.push({ resolve, originalProcessingTime, logMetadata, envelope, idempotencyKey, writePermit });
+    batchBytes += rowBytes;
+
+    if (batchQueue.length >= targetBatchSize || batchBytes >= MAX_BATCH_BYTES) {
       setImmediate(flushBatch);
     } else if (!batchTimer && batchQueue.length > 0) {
       batchTimer = setTimeout(flushBatch, MAX_BATCH_WAIT_MS);
@@ -119,17 +304,55 @@ function queueForBatch(envelope, processedPayload, idempotencyKey, originalProce
 }
 
 /**
- * Flushes any pending messages before shutdown.
+ * Flushes any pending messages before shutdown and waits for every flush already started.
  */
 async function flushPendingBatch() {
   if (batchQueue.length > 0) {
     logger.info('Flushing pending batch before shutdown', { pending_count: batchQueue.length });
-    await flushBatch();
+    flushBatch();
+  }
+  if (activeFlushes.size > 0) {
+    logger.info('Waiting for in-flight flushes', { in_flight: inFlightFlushes.size, waiting: flushWaiters.length });
+    await Promise.all([...activeFlushes]);
   }
 }
 
 function getBatchState() {
-  return { currentBatchSize: batchQueue.length, config: { MAX_BATCH_SIZE, MAX_BATCH_WAIT_MS, ENABLE_BATCHING } };
+  const failedFlushes = recentFlushes.filter(f => f.failed).length;
+  return {
+    currentBatchSize: batchQueue.length,
+    currentBatchBytes: batchBytes,
+    inFlight: [...inFlightFlushes.values()].map(flush => ({
+      id: flush.id,
+      rows: flush.rows,
+      destinations: flush.destinations,
+      ageMs: Date.now() - flush.startedAt
+    })),
+    waitingFlushes: flushWaiters.length,
+    targets: {
+      batchSize: targetBatchSize,
+      batchBytes: MAX_BATCH_BYTES,
+      waitMs: MAX_BATCH_WAIT_MS
+    },
+    adaptive: {
+      enabled: ADAPTIVE_BATCHING,
+      recentErrorRate: recentFlushes.length > 0 ? failedFlushes / recentFlushes.length : 0,
+      lastLatencyMs: recentFlushes.length > 0 ? recentFlushes[recentFlushes.length - 1].latencyMs : null
+    },
+    config: {
+      MAX_BATCH_SIZE,
+      MAX_BATCH_WAIT_MS,
+      MAX_BATCH_BYTES,
+      ENABLE_BATCHING,
+      RESUBMIT_MAX_ATTEMPTS,
+      MAX_CONCURRENT_FLUSHES,
+      ADAPTIVE_BATCHING,
+      ADAPTIVE_MIN_BATCH_SIZE,
+      ADAPTIVE_MAX_BATCH_SIZE,
+      ADAPTIVE_TARGET_LATENCY_MS,
+      ADAPTIVE_MAX_ERROR_RATE
+    }
+  };
 }
 
 module.exports = {
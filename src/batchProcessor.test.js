@@ -0,0 +1,214 @@
+// src/batchProcessor.test.js
+
+process.env.MAX_BATCH_SIZE = '3';
+process.env.MAX_BATCH_WAIT_MS = '10';
+process.env.MAX_BATCH_BYTES = '2000';
+
+// --- Mocks ---
+jest.mock('./sink', () => ({
+  writeBatch: jest.fn(),
+}));
+// --- End Mocks ---
+
+const { writeBatch } = require('./sink');
+const { setRoutes } = require('./routing');
+const { queueForBatch } = require('./batchProcessor');
+
+const queue = (eventType, key) => queueForBatch(
+  { tenant_id: 'org-demo', event_type: eventType },
+  { call_id: key },
+  key,
+  0,
+  {},
+  {}
+);
+
+describe('queueForBatch routing', () => {
+  beforeAll(() => {
+    setRoutes([{ id: 'chat', event_type: 'chat.*', dataset: 'drivehealth_dw', table: 'chat_events' }]);
+  });
+
+  afterAll(() => {
+    setRoutes([]);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should write one batch per destination and resolve each request from its own group', async () => {
+    writeBatch.mockImplementation(async (events, destination) => {
+      if (destination.table === 'chat_events') {
+        const error = Object.assign(new Error('partial'), {
+          name: 'PartialFailureError',
+          errors: [{ index: 0, errors: [{ reason: 'invalid', message: 'bad chat row' }] }],
+        });
+        return { success: false, errors: [error] };
+      }
+      return { success: true, count: events.length };
+    });
+
+    const results = await Promise.all([
+      queue('call.metadata', 'call-1'),
+      queue('chat.message', 'msg-1'),
+      queue('call.summary', 'call-2'),
+    ]);
+
+    expect(writeBatch).toHaveBeenCalledTimes(2);
+    const destinations = writeBatch.mock.calls.map(([events, destination]) => [destination.table, events.map(e => e.idempotencyKey)]);
+    expect(destinations).toEqual(expect.arrayContaining([
+      ['events', ['call-1', 'call-2']],
+      ['chat_events', ['msg-1']],
+    ]));
+
+    expect(results.map(r => r.statusCode)).toEqual([204, 422, 204]);
+  });
+});
+
+describe('stopped row resubmission', () => {
+  const partialFailure = (rowErrors) => ({
+    success: false,
+    errors: [Object.assign(new Error('partial'), {
+      name: 'PartialFailureError',
+      errors: rowErrors.map(([index, reason]) => ({ index, errors: [{ reason, message: `${reason} row` }] })),
+    })],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should resolve invalid rows as 422 and rewrite stopped rows on their own', async () => {
+    writeBatch
+      .mockResolvedValueOnce(partialFailure([[0, 'invalid'], [1, 'stopped'], [2, 'timeout']]))
+      .mockResolvedValueOnce({ success: true, count: 2 });
+
+    const results = await Promise.all([
+      queue('call.metadata', 'bad-1'),
+      queue('call.metadata', 'ok-1'),
+      queue('call.metadata', 'ok-2'),
+    ]);
+
+    expect(writeBatch).toHaveBeenCalledTimes(2);
+    expect(writeBatch.mock.calls[1][0].map(e => e.idempotencyKey)).toEqual(['ok-1', 'ok-2']);
+    expect(results.map(r => r.statusCode)).toEqual([422, 204, 204]);
+  });
+
+  test('should return 503 only for rows still stopped after the retry budget', async () => {
+    writeBatch
+      .mockResolvedValueOnce(partialFailure([[0, 'invalid'], [1, 'stopped'], [2, 'stopped']]))
+      .mockResolvedValue(partialFailure([[0, 'stopped']]));
+
+    const results = await Promise.all([
+      queue('call.metadata', 'bad-1'),
+      queue('call.metadata', 'stuck-1'),
+      queue('call.metadata', 'ok-1'),
+    ]);
+
+    // One initial write plus two resubmissions (RESUBMIT_MAX_ATTEMPTS defaults to 2).
+    expect(writeBatch).toHaveBeenCalledTimes(3);
+    expect(results.map(r => r.statusCode)).toEqual([422, 503, 204]);
+  });
+});
+
+describe('whole-batch failures', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should tell an open circuit apart from a failed write', async () => {
+    const circuitOpen = Object.assign(new Error('Circuit breaker "bigquery" is open; write not attempted'), { name: 'CircuitOpenError' });
+    writeBatch
+      .mockResolvedValueOnce({ success: false, errors: [circuitOpen] })
+      .mockResolvedValueOnce({ success: false, errors: [new Error('backend error')] });
+
+    const [open] = await Promise.all(['open-1', 'open-2', 'open-3'].map(key => queue('call.metadata', key)));
+    const [failed] = await Promise.all(['fail-1', 'fail-2', 'fail-3'].map(key => queue('call.metadata', key)));
+
+    expect(open).toMatchObject({ success: false, isTerminal: false, statusCode: 503, errorType: 'circuit_open' });
+    expect(failed).toMatchObject({ success: false, isTerminal: false, statusCode: 503, errorType: 'transient_error' });
+  });
+});
+
+describe('byte-size limits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    writeBatch.mockResolvedValue({ success: true, count: 1 });
+  });
+
+  test('should flush the queued rows before a row that would exceed MAX_BATCH_BYTES', async () => {
+    const large = queueForBatch({ tenant_id: 'org-demo', event_type: 'call.metadata' }, { call_id: 'big', notes: 'x'.repeat(1900) }, 'big', 0, {}, {});
+    const small = queue('call.metadata', 'small');
+    await Promise.all([large, small]);
+
+    const batches = writeBatch.mock.calls.map(([events]) => events.map(e => e.idempotencyKey));
+    expect(batches).toEqual([['big'], ['small']]);
+  });
+});
+
+describe('adaptive batch sizing', () => {
+  test('should halve the target batch size after a failed insert', async () => {
+    process.env.ADAPTIVE_BATCHING = 'true';
+    let isolated;
+    jest.isolateModules(() => {
+      isolated = { sink: require('./sink'), batchProcessor: require('./batchProcessor') };
+    });
+    delete process.env.ADAPTIVE_BATCHING;
+
+    isolated.sink.writeBatch.mockResolvedValue({ success: false, errors: [new Error('backend unavailable')] });
+    expect(isolated.batchProcessor.getBatchState().targets.batchSize).toBe(3);
+
+    await Promise.all(['a', 'b', 'c'].map(key =>
+      isolated.batchProcessor.queueForBatch({ tenant_id: 'org-demo', event_type: 'call.metadata' }, { call_id: key }, key, 0, {}, {})));
+
+    const state = isolated.batchProcessor.getBatchState();
+    expect(state.targets.batchSize).toBe(1);
+    expect(state.adaptive.recentErrorRate).toBe(1);
+  });
+});
+
+describe('bounded concurrent flushes', () => {
+  test('should cap in-flight flushes, report them, and wait for them on shutdown', async () => {
+    process.env.MAX_CONCURRENT_FLUSHES = '1';
+    let isolated;
+    jest.isolateModules(() => {
+      isolated = { sink: require('./sink'), batchProcessor: require('./batchProcessor') };
+    });
+    delete process.env.MAX_CONCURRENT_FLUSHES;
+
+    const releases = [];
+    isolated.sink.writeBatch.mockReset();
+    isolated.sink.writeBatch.mockImplementation(events => new Promise(resolve => {
+      releases.push(() => resolve({ success: true, count: events.length }));
+    }));
+    const queueIsolated = key => isolated.batchProcessor.queueForBatch(
+      { tenant_id: 'org-demo', event_type: 'call.metadata' }, { call_id: key }, key, 0, {}, {});
+
+    const firstBatch = ['a', 'b', 'c'].map(queueIsolated);
+    await new Promise(resolve => setImmediate(resolve));
+    const secondBatch = ['d', 'e', 'f'].map(queueIsolated);
+    await new Promise(resolve => setImmediate(resolve));
+
+    let state = isolated.batchProcessor.getBatchState();
+    expect(state.inFlight).toHaveLength(1);
+    expect(state.inFlight[0]).toMatchObject({ rows: 3, destinations: ['drivehealth_dw.events'] });
+    expect(state.inFlight[0].ageMs).toBeGreaterThanOrEqual(0);
+    expect(state.waitingFlushes).toBe(1);
+    expect(isolated.sink.writeBatch).toHaveBeenCalledTimes(1);
+
+    let shutdownDone = false;
+    const shutdown = isolated.batchProcessor.flushPendingBatch().then(() => { shutdownDone = true; });
+
+    releases[0]();
+    await Promise.all(firstBatch);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(isolated.sink.writeBatch).toHaveBeenCalledTimes(2);
+    expect(shutdownDone).toBe(false);
+
+    releases[1]();
+    await Promise.all([...secondBatch, shutdown]);
+    state = isolated.batchProcessor.getBatchState();
+    expect(state.inFlight).toHaveLength(0);
+    expect(shutdownDone).toBe(true);
+  });
+});
@@ -1,64 +1,192 @@
 // src/bq.js
 // BigQuery write operations with idempotency and JSON payload
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { BigQuery } = require('@google-cloud/bigquery');
 const { logger } = require('./logger');
+const { BQ_DATASET, BQ_TABLE, destinationKey } = require('./routing');
+const { projectColumns } = require('./projection');
+const { bqRowErrorsTotal } = require('./metrics');
 
 const bigquery = new BigQuery();
 
-// Configuration from environment variables
-const BQ_DATASET = process.env.BQ_DATASET || 'drivehealth_dw';
-const BQ_TABLE = process.env.BQ_TABLE || 'events';
+// Default destination when the caller doesn't route the batch (BQ_DATASET / BQ_TABLE)
+const DEFAULT_DESTINATION = { dataset: BQ_DATASET, table: BQ_TABLE };
+
+// Load-job mode: event types listed here are staged to NDJSON files and committed with load jobs
+// instead of streaming inserts. '*' puts every event type in load mode.
+const BQ_LOAD_EVENT_TYPES = (process.env.BQ_LOAD_EVENT_TYPES || '').split(',').map(t => t.trim()).filter(Boolean);
+const BQ_STAGING_DIR = process.env.BQ_STAGING_DIR || path.join('tmp', 'bq-staging');
+const BQ_LOAD_INTERVAL_MS = parseInt(process.env.BQ_LOAD_INTERVAL_MS) || 60000;
+const MANIFEST_FILE = 'manifest.json';
+// Staging files whose load job failed are moved here; move one back to retry it under a new job ID.
+const FAILED_STAGING_DIR = 'failed';
+const MANIFEST_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Staging files are unique per process so instances sharing a volume never append to each other's files.
+const STAGING_INSTANCE_ID = crypto.randomUUID().slice(0, 8);
+// Staging files are named stage-<dataset>.<table>-<instance>-<time>-<seq>.ndjson for readability; the
+// destination itself is recorded in the manifest, since table names can contain '-' and other characters.
+const STAGING_FILE_PATTERN = /^stage-.+\.ndjson$/;
+// Destination in the name of a staging file with no manifest entry (left before destinations were recorded).
+const LEGACY_STAGING_DESTINATION = /^stage-([A-Za-z0-9_]+)\.([A-Za-z0-9_]+)-/;
+const stagingFiles = new Map();
+let stagingSequence = 0;
+let loadTimer = null;
+let commitInProgress = null;
 
 /**
  * Create a BigQuery row object from envelope and processed payload
  * @param {Object} envelope - The validated event envelope
  * @param {Object} processedPayload - The normalized payload
  * @param {string} idempotencyKey - The idempotency key
+ * @param {Object} rowContext - Per-row values computed by the pipeline (e.g. effectiveSchemaVersion, samplingReason, receivedAt, delivery)
  * @returns {Object} - BigQuery row object
  */
-function createBigQueryRow(envelope, processedPayload, idempotencyKey) {
+function createBigQueryRow(envelope, processedPayload, idempotencyKey, rowContext = {}) {
+  const originalSchemaVersion = parseInt(envelope.schema_version, 10);
+  const delivery = rowContext.delivery || {};
   return {
     tenant_id: envelope.tenant_id,
     event_type: envelope.event_type,
-    schema_version: parseInt(envelope.schema_version, 10),
+    schema_version: rowContext.effectiveSchemaVersion ?? originalSchemaVersion,
+    original_schema_version: originalSchemaVersion,
     envelope_version: parseInt(envelope.envelope_version, 10),
     trace_id: envelope.trace_id || null,
     occurred_at: envelope.occurred_at,
-    received_at: new Date().toISOString(),
+    received_at: rowContext.receivedAt ?? new Date().toISOString(),
     source: envelope.source || 'unknown',
     sampled: true,
+    sampling_reason: rowContext.samplingReason ?? null,
     idempotencyKey: idempotencyKey,
+    pubsub_message_id: delivery.messageId ?? null,
+    pubsub_publish_time: delivery.publishTime ?? null,
+    pubsub_subscription: delivery.subscription ?? null,
+    delivery_attempt: delivery.deliveryAttempt ?? null,
+    publish_to_receive_ms: delivery.publishToReceiveMs ?? null,
+    pubsub_attributes: delivery.attributes ? JSON.stringify(delivery.attributes) : null,
+    // Typed copies of selected payload fields; the raw JSON below stays the source of truth.
+    ...projectColumns(envelope.event_type, processedPayload),
     // fix: Stringify the payload to match the requirement for JSON column types.
     payload: JSON.stringify(processedPayload),
   };
 }
 
 /**
- * Write events to BigQuery in batch with idempotency
- * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey} objects
+ * Convert pipeline events into raw insert rows keyed by insertId
+ * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey, rowContext} objects
+ * @returns {Array} - Array of { insertId, json } objects
+ */
+function toInsertRows(events) {
+  return events.map(({ envelope, processedPayload, idempotencyKey, rowContext }) => ({
+    insertId: idempotencyKey,
+    json: createBigQueryRow(envelope, processedPayload, idempotencyKey, rowContext)
+  }));
+}
+
+/**
+ * Get the write mode configured for an event type
+ * @param {string} eventType - The event type
+ * @returns {'streaming'|'load'}
+ */
+function getWriteMode(eventType) {
+  return BQ_LOAD_EVENT_TYPES.includes(eventType) || BQ_LOAD_EVENT_TYPES.includes('*') ? 'load' : 'streaming';
+}
+
+/**
+ * Write events to BigQuery in batch with idempotency.
+ * Streaming-mode events go through table.insert; load-mode events are staged first, so a
+ * streaming failure can never cause staged rows to be written twice on retry.
+ * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey, rowContext} objects
+ * @param {{dataset: string, table: string}} destination - Target table (defaults to BQ_DATASET.BQ_TABLE)
  * @returns {Promise<Object>} - Success result with metadata
  */
-async function writeBatchToBigQuery(events) {
+async function writeBatchToBigQuery(events, destination = DEFAULT_DESTINATION) {
+  const loadIndexes = [];
+  const streamingIndexes = [];
+  events.forEach((event, index) => {
+    (getWriteMode(event.envelope.event_type) === 'load' ? loadIndexes : streamingIndexes).push(index);
+  });
+
+  if (loadIndexes.length === 0) {
+    return insertRows(events, destination);
+  }
+
+  const startTime = Date.now();
+  try {
+    await stageRows(loadIndexes.map(index => events[index]), destination);
+  } catch (error) {
+    logger.error('BigQuery load staging failed', {
+      batch_size: events.length,
+      error: error.message,
+      insert_status: 'BATCH_ERROR'
+    });
+    return { success: false, errors: [error] };
+  }
+
+  if (streamingIndexes.length > 0) {
+    const streamingResult = await insertRows(streamingIndexes.map(index => events[index]), destination);
+    if (!streamingResult.success) {
+      return { success: false, errors: [remapStreamingFailure(streamingResult.errors[0], streamingIndexes)] };
+    }
+  }
+
+  const processingTime = Date.now() - startTime;
+  const logMetadata = {
+    batch_size: events.length,
+    destination: destinationKey(destination),
+    staged_count: loadIndexes.length,
+    streamed_count: streamingIndexes.length,
+    processing_time_ms: processingTime,
+    insert_status: 'BATCH_SUCCESS'
+  };
+  return { success: true, count: events.length, processingTime, logMetadata };
+}
+
+/**
+ * Turn a failure of the streaming subset into per-row errors indexed against the full batch,
+ * leaving the already-staged rows reported as successful.
+ * @param {Error} error - The streaming insert error
+ * @param {number[]} streamingIndexes - Original batch index of each streamed row
+ * @returns {Error} - A PartialFailureError-shaped error
+ */
+function remapStreamingFailure(error, streamingIndexes) {
+  const rowErrors = error.name === 'PartialFailureError' && error.errors?.length > 0
+    ? error.errors.map(rowError => ({ ...rowError, index: streamingIndexes[rowError.index] }))
+    : streamingIndexes.map(index => ({ index, errors: [{ reason: 'backendError', message: error.message }] }));
+
+  const remapped = new Error(error.message);
+  remapped.name = 'PartialFailureError';
+  remapped.errors = rowErrors;
+  return remapped;
+}
+
+/**
+ * Stream rows into BigQuery with table.insert
+ * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey, rowContext} objects
+ * @param {{dataset: string, table: string}} destination - Target table
+ * @returns {Promise<Object>} - Success result with metadata
+ */
+async function insertRows(events, destination) {
   const startTime = Date.now();
 
   try {
     const insertOptions = {
       raw: true,
-      rows: events.map(({ envelope, processedPayload, idempotencyKey }) => ({
-        insertId: idempotencyKey,
-        json: createBigQueryRow(envelope, processedPayload, idempotencyKey)
-      }))
+      rows: toInsertRows(events)
     };
 
     await bigquery
-      .dataset(BQ_DATASET)
-      .table(BQ_TABLE)
+      .dataset(destination.dataset)
+      .table(destination.table)
       .insert(insertOptions.rows, { raw: true });
 
     const processingTime = Date.now() - startTime;
     const logMetadata = {
       batch_size: events.length,
+      destination: destinationKey(destination),
       processing_time_ms: processingTime,
       insert_status: 'BATCH_SUCCESS'
     };
@@ -81,9 +209,11 @@ async function writeBatchToBigQuery(events) {
     if (error.errors && error.errors.length > 0) {
       const failedRowCount = error.errors.length;
       const successRowCount = events.length - failedRowCount;
+      error.errors.forEach(rowError => bqRowErrorsTotal.inc({ reason: rowError.errors?.[0]?.reason || 'unknown' }));
 
       logger.error('BigQuery batch insert partial failure', {
         batch_size: events.length,
+        destination: destinationKey(destination),
         success_count: successRowCount,
         failure_count: failedRowCount,
         processing_time_ms: processingTime,
@@ -97,6 +227,7 @@ async function writeBatchToBigQuery(events) {
     } else {
       logger.error('BigQuery batch insert failed', {
         batch_size: events.length,
+        destination: destinationKey(destination),
         error: error.message,
         error_code: error.code,
         processing_time_ms: processingTime,
@@ -104,20 +235,237 @@ async function writeBatchToBigQuery(events) {
         sample_keys: events.slice(0, 3).map(e => e.idempotencyKey)
       });
     }
-    return { success: false, errors: error.errors || [error] };
+    // Keep PartialFailureError intact so callers can map its per-row errors.
+    return { success: false, errors: [error] };
+  }
+}
+
+// --- Load-job mode ---
+
+function readManifest() {
+  const manifestPath = path.join(BQ_STAGING_DIR, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return { files: {} };
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+function writeManifest(manifest) {
+  const manifestPath = path.join(BQ_STAGING_DIR, MANIFEST_FILE);
+  // A commit holds its own copy of the manifest while it loads; keep files staged since it was read.
+  for (const [file, entry] of Object.entries(readManifest().files)) {
+    if (entry.status === 'staged' && !manifest.files[file]) manifest.files[file] = entry;
+  }
+  // Write-then-rename so a crash mid-write never leaves a truncated manifest.
+  fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
+
+/**
+ * Append load-mode rows to the current staging file for their destination
+ * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey, rowContext} objects
+ * @param {{dataset: string, table: string}} destination - Target table
+ */
+async function stageRows(events, destination) {
+  const key = destinationKey(destination);
+  if (!stagingFiles.has(key)) {
+    fs.mkdirSync(BQ_STAGING_DIR, { recursive: true });
+    stagingSequence++;
+    const file = `stage-${key.replace(/[^A-Za-z0-9_.-]/g, '_')}-${STAGING_INSTANCE_ID}-${Date.now()}-${stagingSequence}.ndjson`;
+    const manifest = readManifest();
+    manifest.files[file] = { status: 'staged', stagedAt: new Date().toISOString(), dataset: destination.dataset, table: destination.table };
+    writeManifest(manifest);
+    stagingFiles.set(key, path.join(BQ_STAGING_DIR, file));
+  }
+  const stagingFile = stagingFiles.get(key);
+
+  const lines = toInsertRows(events).map(({ json }) => JSON.stringify(json)).join('\n') + '\n';
+  // Synchronous append so commitStagedFiles can never seal a file while a write to it is pending.
+  fs.appendFileSync(stagingFile, lines);
+  startLoadJobScheduler();
+
+  logger.info('Rows staged for BigQuery load job', { batch_size: events.length, file: stagingFile });
+}
+
+/**
+ * Load job ID for a staging file. Attempt 1 keeps the plain file-derived ID; a file retried after a
+ * failed job gets a suffix, since BigQuery job IDs can never be reused.
+ */
+function loadJobId(file, attempt) {
+  const base = `etl_load_${file.replace(/\.ndjson$/, '').replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+  return attempt > 1 ? `${base}_a${attempt}` : base;
+}
+
+/**
+ * Move a staging file whose load job failed out of the commit set and record the failure
+ */
+function failStagedFile(file, manifest, errorResult) {
+  const failedDir = path.join(BQ_STAGING_DIR, FAILED_STAGING_DIR);
+  fs.mkdirSync(failedDir, { recursive: true });
+  fs.renameSync(path.join(BQ_STAGING_DIR, file), path.join(failedDir, file));
+
+  const entry = manifest.files[file];
+  manifest.files[file] = { ...entry, status: 'failed', failedAt: new Date().toISOString(), error: errorResult.message || errorResult.reason };
+  writeManifest(manifest);
+  logger.error('BigQuery load job failed; staging file moved aside', {
+    file,
+    job_id: entry.jobId,
+    attempt: entry.attempt,
+    destination: `${entry.dataset}.${entry.table}`,
+    reason: errorResult.reason,
+    error: errorResult.message,
+    moved_to: path.join(FAILED_STAGING_DIR, file)
+  });
+}
+
+/**
+ * Load one sealed staging file, recording progress in the manifest.
+ * The job ID is derived from the file name and attempt, so if we crash after submitting the job
+ * the retry finds the existing job instead of loading the file a second time. A job that finished
+ * with an error is final: the file is marked failed and moved to failed/ instead of being retried.
+ * @param {string} file - Staging file name (relative to BQ_STAGING_DIR)
+ * @param {Object} manifest - The manifest, mutated and persisted as the load progresses
+ * @returns {Promise<'loaded'|'failed'>}
+ * @throws {Error} - When the outcome is not known yet (submit error, job still running); retried next commit
+ */
+async function loadStagedFile(file, manifest) {
+  const filePath = path.join(BQ_STAGING_DIR, file);
+  const entry = manifest.files[file] || { stagedAt: new Date().toISOString() };
+  const [, dataset, table] = entry.dataset ? [null, entry.dataset, entry.table] : file.match(LEGACY_STAGING_DESTINATION) || [];
+  if (!dataset) {
+    throw new Error(`No destination recorded for staging file ${file}`);
+  }
+
+  if (entry.status === 'loaded') {
+    fs.rmSync(filePath, { force: true });
+    return 'loaded';
+  }
+
+  // A failed file that is back in the staging directory was requeued by hand: give it a fresh job.
+  const attempt = entry.status === 'failed' ? (entry.attempt || 1) + 1 : (entry.attempt || 1);
+  const jobId = loadJobId(file, attempt);
+  manifest.files[file] = { ...entry, status: 'loading', attempt, jobId, dataset, table, error: undefined };
+  writeManifest(manifest);
+
+  try {
+    await bigquery
+      .dataset(dataset)
+      .table(table)
+      .load(filePath, { sourceFormat: 'NEWLINE_DELIMITED_JSON', writeDisposition: 'WRITE_APPEND', jobId });
+  } catch (error) {
+    // Either the job already exists from an earlier attempt (409) or it failed; its state decides.
+    let metadata;
+    try {
+      [metadata] = await bigquery.job(jobId).getMetadata();
+    } catch {
+      // No such job (it was never created) or no answer: retry with the same job ID next commit.
+      throw error;
+    }
+    if (metadata.status?.state !== 'DONE') {
+      throw new Error(`Load job ${jobId} is ${metadata.status?.state || 'in an unknown state'}; checking again next commit`);
+    }
+    if (metadata.status.errorResult) {
+      failStagedFile(file, manifest, metadata.status.errorResult);
+      return 'failed';
+    }
+  }
+
+  manifest.files[file] = { ...manifest.files[file], status: 'loaded', loadedAt: new Date().toISOString() };
+  writeManifest(manifest);
+  fs.rmSync(filePath, { force: true });
+  logger.info('BigQuery load job committed', { file, job_id: jobId, attempt, destination: `${dataset}.${table}` });
+  return 'loaded';
+}
+
+/**
+ * Seal the current staging file and load every staged file not yet marked loaded.
+ * failed counts files whose job failed (moved to failed/) and files to retry next commit.
+ * @returns {Promise<{loaded: number, failed: number}>}
+ */
+function commitStagedFiles() {
+  if (commitInProgress) return commitInProgress;
+
+  commitInProgress = (async () => {
+    if (!fs.existsSync(BQ_STAGING_DIR)) return { loaded: 0, failed: 0 };
+
+    // Seal: new rows go to fresh files while this set is loaded.
+    stagingFiles.clear();
+
+    const manifest = readManifest();
+    const files = fs.readdirSync(BQ_STAGING_DIR).filter(file => STAGING_FILE_PATTERN.test(file)).sort();
+    let loaded = 0;
+    let failed = 0;
+
+    for (const file of files) {
+      try {
+        if (await loadStagedFile(file, manifest) === 'loaded') {
+          loaded++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        failed++;
+        logger.error('BigQuery load job failed', { file, error: error.message });
+      }
+    }
+
+    const cutoff = Date.now() - MANIFEST_RETENTION_MS;
+    for (const [file, entry] of Object.entries(manifest.files)) {
+      if (entry.status === 'loaded' && Date.parse(entry.loadedAt) < cutoff) delete manifest.files[file];
+    }
+    writeManifest(manifest);
+
+    return { loaded, failed };
+  })().finally(() => {
+    commitInProgress = null;
+  });
+
+  return commitInProgress;
+}
+
+/**
+ * Start the periodic load-job commit (idempotent)
+ */
+function startLoadJobScheduler() {
+  if (loadTimer) return;
+  loadTimer = setInterval(() => {
+    commitStagedFiles().catch(error => logger.error('Load job commit failed', { error: error.message }));
+  }, BQ_LOAD_INTERVAL_MS);
+  loadTimer.unref();
+}
+
+/**
+ * At startup: commit staging files left in BQ_STAGING_DIR by a crashed or restarted instance right away,
+ * and keep committing on schedule, instead of waiting for their event types to receive new traffic
+ * @returns {Promise<{loaded: number, failed: number}>} - The first commit's result
+ */
+function resumeLoadJobs() {
+  startLoadJobScheduler();
+  return commitStagedFiles().catch(error => {
+    logger.error('Load job commit failed', { error: error.message });
+    return { loaded: 0, failed: 0 };
+  });
+}
+
+/**
+ * Stop the periodic load-job commit
+ */
+function stopLoadJobScheduler() {
+  if (loadTimer) {
+    clearInterval(loadTimer);
+    loadTimer = null;
   }
 }
 
 
 /**
  * Get BigQuery table information for monitoring
+ * @param {{dataset: string, table: string}} destination - Table to describe (defaults to BQ_DATASET.BQ_TABLE)
  * @returns {Promise<Object>} - Table metadata
  */
-async function getTableInfo() {
+async function getTableInfo(destination = DEFAULT_DESTINATION) {
   try {
     const [metadata] = await bigquery
-      .dataset(BQ_DATASET)
-      .table(BQ_TABLE)
+      .dataset(destination.dataset)
+      .table(destination.table)
       .getMetadata();
 
     return {
@@ -125,7 +473,8 @@ async function getTableInfo() {
       location: metadata.location,
       numRows: metadata.numRows,
       numBytes: metadata.numBytes,
-      lastModified: metadata.lastModifiedTime
+      lastModified: metadata.lastModifiedTime,
+      schema: metadata.schema
     };
   } catch (error) {
     logger.error('Failed to get table info', { error: error.message });
@@ -135,8 +484,16 @@ async function getTableInfo() {
 
 module.exports = {
   createBigQueryRow,
+  toInsertRows,
+  getWriteMode,
   writeBatchToBigQuery,
+  commitStagedFiles,
+  startLoadJobScheduler,
+  stopLoadJobScheduler,
+  resumeLoadJobs,
   getTableInfo,
+  bigquery,
   BQ_DATASET,
-  BQ_TABLE
+  BQ_TABLE,
+  BQ_LOAD_EVENT_TYPES
 };
\ No newline at end of file
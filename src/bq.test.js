@@ -0,0 +1,156 @@
+// src/bq.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bq-staging-'));
+process.env.BQ_LOAD_EVENT_TYPES = 'call.summary';
+process.env.BQ_STAGING_DIR = stagingDir;
+
+// --- Mocks ---
+const mockInsert = jest.fn();
+const mockLoad = jest.fn();
+const mockJobMetadata = jest.fn();
+const mockTableRef = jest.fn();
+jest.mock('@google-cloud/bigquery', () => ({
+  BigQuery: jest.fn().mockImplementation(() => ({
+    dataset: (datasetId) => ({ table: (tableId) => {
+      mockTableRef(datasetId, tableId);
+      return { insert: mockInsert, load: mockLoad };
+    } }),
+    job: () => ({ getMetadata: mockJobMetadata }),
+  })),
+}));
+// --- End Mocks ---
+
+const { writeBatchToBigQuery, commitStagedFiles, stopLoadJobScheduler, resumeLoadJobs } = require('./bq');
+
+const createEvent = (eventType, key) => ({
+  envelope: {
+    envelope_version: 1,
+    event_type: eventType,
+    schema_version: 1,
+    tenant_id: 'org-load',
+    occurred_at: '2025-08-28T12:00:00Z',
+  },
+  processedPayload: { call_id: key },
+  idempotencyKey: key,
+  rowContext: {},
+});
+
+const stagedFiles = () => fs.readdirSync(stagingDir).filter(file => file.endsWith('.ndjson'));
+const readManifest = () => JSON.parse(fs.readFileSync(path.join(stagingDir, 'manifest.json'), 'utf8'));
+
+describe('load-job mode', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockLoad.mockResolvedValue([{}]);
+    await commitStagedFiles();
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    stopLoadJobScheduler();
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  });
+
+  test('should stage load-mode rows and stream the rest', async () => {
+    mockInsert.mockResolvedValue([{}]);
+    const result = await writeBatchToBigQuery([createEvent('call.metadata', 'a'), createEvent('call.summary', 'b')]);
+
+    expect(result.success).toBe(true);
+    expect(mockInsert).toHaveBeenCalledTimes(1);
+    expect(mockInsert.mock.calls[0][0].map(row => row.insertId)).toEqual(['a']);
+    expect(stagedFiles()).toHaveLength(1);
+  });
+
+  test('should load each staged file once and record it in the manifest', async () => {
+    await writeBatchToBigQuery([createEvent('call.summary', 'c')]);
+    const [file] = stagedFiles();
+    mockLoad.mockResolvedValue([{}]);
+
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 1, failed: 0 });
+    expect(mockLoad).toHaveBeenCalledWith(path.join(stagingDir, file), expect.objectContaining({ sourceFormat: 'NEWLINE_DELIMITED_JSON' }));
+    expect(readManifest().files[file].status).toBe('loaded');
+    expect(stagedFiles()).toHaveLength(0);
+  });
+
+  test('should load into the staged destination even when the table name has dashes', async () => {
+    await writeBatchToBigQuery([createEvent('call.summary', 'dash')], { dataset: 'vip_dw', table: 'call-summaries-2025' });
+    const [file] = stagedFiles();
+    expect(readManifest().files[file]).toMatchObject({ status: 'staged', dataset: 'vip_dw', table: 'call-summaries-2025' });
+
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 1, failed: 0 });
+    expect(mockTableRef).toHaveBeenCalledWith('vip_dw', 'call-summaries-2025');
+    expect(readManifest().files[file]).toMatchObject({ status: 'loaded', dataset: 'vip_dw', table: 'call-summaries-2025' });
+  });
+
+  test('should not load twice when the job already exists from a crashed attempt', async () => {
+    await writeBatchToBigQuery([createEvent('call.summary', 'd')]);
+    mockLoad.mockRejectedValue(Object.assign(new Error('Already Exists'), { code: 409 }));
+    mockJobMetadata.mockResolvedValue([{ status: { state: 'DONE' } }]);
+
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 1, failed: 0 });
+    expect(mockLoad).toHaveBeenCalledTimes(1);
+    expect(stagedFiles()).toHaveLength(0);
+  });
+
+  test('should move a file aside once its load job fails instead of retrying it forever', async () => {
+    await writeBatchToBigQuery([createEvent('call.summary', 'bad')]);
+    const [file] = stagedFiles();
+    mockLoad.mockRejectedValue(new Error('Error while reading data'));
+    mockJobMetadata.mockResolvedValue([{ status: { state: 'DONE', errorResult: { reason: 'invalid', message: 'Error while reading data' } } }]);
+
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 0, failed: 1 });
+    expect(stagedFiles()).toHaveLength(0);
+    expect(fs.existsSync(path.join(stagingDir, 'failed', file))).toBe(true);
+    expect(readManifest().files[file]).toMatchObject({ status: 'failed', attempt: 1, error: 'Error while reading data' });
+
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 0, failed: 0 });
+    expect(mockLoad).toHaveBeenCalledTimes(1);
+
+    // Requeued by hand after a fix: loaded under a new job ID.
+    fs.renameSync(path.join(stagingDir, 'failed', file), path.join(stagingDir, file));
+    mockLoad.mockResolvedValue([{}]);
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 1, failed: 0 });
+    expect(mockLoad.mock.calls[1][1].jobId).toBe(`${mockLoad.mock.calls[0][1].jobId}_a2`);
+    expect(readManifest().files[file]).toMatchObject({ status: 'loaded', attempt: 2 });
+  });
+
+  test('should keep retrying with the same job ID while the outcome is unknown', async () => {
+    await writeBatchToBigQuery([createEvent('call.summary', 'slow')]);
+    mockLoad.mockRejectedValue(new Error('socket hang up'));
+    mockJobMetadata.mockRejectedValue(Object.assign(new Error('Not found'), { code: 404 }));
+
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 0, failed: 1 });
+    expect(stagedFiles()).toHaveLength(1);
+
+    mockLoad.mockResolvedValue([{}]);
+    await expect(commitStagedFiles()).resolves.toEqual({ loaded: 1, failed: 0 });
+    expect(mockLoad.mock.calls[1][1].jobId).toBe(mockLoad.mock.calls[0][1].jobId);
+  });
+
+  test('should commit files left by an earlier instance when resumed at startup', async () => {
+    const leftover = 'stage-dataset.table-deadbeef-1700000000000-1.ndjson';
+    fs.writeFileSync(path.join(stagingDir, leftover), '{"insert_id":"old"}\n');
+
+    await expect(resumeLoadJobs()).resolves.toEqual({ loaded: 1, failed: 0 });
+    stopLoadJobScheduler();
+    expect(mockLoad).toHaveBeenCalledWith(path.join(stagingDir, leftover), expect.any(Object));
+    expect(stagedFiles()).toHaveLength(0);
+  });
+
+  test('should report streaming row errors against the full batch index', async () => {
+    const partialFailure = Object.assign(new Error('A failure occurred during this request.'), {
+      name: 'PartialFailureError',
+      errors: [{ index: 0, errors: [{ reason: 'invalid', message: 'bad row' }] }],
+    });
+    mockInsert.mockRejectedValue(partialFailure);
+
+    const result = await writeBatchToBigQuery([createEvent('call.summary', 'e'), createEvent('call.metadata', 'f')]);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0].errors).toEqual([{ index: 1, errors: [{ reason: 'invalid', message: 'bad row' }] }]);
+  });
+});
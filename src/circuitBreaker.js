@@ -0,0 +1,210 @@
+// src/circuitBreaker.js
+// Circuit breaker for sink writes: closed -> open on high error rate or latency, half-open probes to recover
+
+const { logger } = require('./logger');
+
+const CB_ENABLED = process.env.CB_ENABLED !== 'false';
+const CB_WINDOW_SIZE = parseInt(process.env.CB_WINDOW_SIZE) || 20;
+const CB_MIN_REQUESTS = parseInt(process.env.CB_MIN_REQUESTS) || 10;
+const CB_ERROR_RATE_THRESHOLD = parseFloat(process.env.CB_ERROR_RATE_THRESHOLD || '0.5');
+const CB_LATENCY_THRESHOLD_MS = parseInt(process.env.CB_LATENCY_THRESHOLD_MS) || 5000;
+const CB_OPEN_MS = parseInt(process.env.CB_OPEN_MS) || 30000;
+const CB_HALF_OPEN_MAX_CALLS = parseInt(process.env.CB_HALF_OPEN_MAX_CALLS) || 1;
+const CB_OPEN_STATUS_CODE = parseInt(process.env.CB_OPEN_STATUS_CODE) || 503;
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+/**
+ * Error returned instead of attempting a write while the circuit is open
+ * @param {string} name - The breaker name
+ * @returns {Error}
+ */
+function createCircuitOpenError(name) {
+  const error = new Error(`Circuit breaker "${name}" is open; write not attempted`);
+  error.name = 'CircuitOpenError';
+  return error;
+}
+
+/**
+ * Create a circuit breaker. A call counts as a failure if it fails or takes longer than the
+ * latency threshold; once the failure rate over the rolling window crosses the threshold the
+ * circuit opens, rejects calls for openMs, then lets a few half-open probes through.
+ * @param {Object} options - { name, windowSize, minRequests, errorRateThreshold, latencyThresholdMs, openMs, halfOpenMaxCalls, now }
+ * @returns {Object} - { allowsRequests, tryAcquire, execute, recordResult, getState, reset }
+ */
+function createCircuitBreaker(options = {}) {
+  const name = options.name || 'default';
+  const windowSize = options.windowSize || CB_WINDOW_SIZE;
+  const minRequests = options.minRequests || CB_MIN_REQUESTS;
+  const errorRateThreshold = options.errorRateThreshold ?? CB_ERROR_RATE_THRESHOLD;
+  const latencyThresholdMs = options.latencyThresholdMs || CB_LATENCY_THRESHOLD_MS;
+  const openMs = options.openMs || CB_OPEN_MS;
+  const halfOpenMaxCalls = options.halfOpenMaxCalls || CB_HALF_OPEN_MAX_CALLS;
+  const now = options.now || Date.now;
+
+  let state = STATES.CLOSED;
+  let outcomes = []; // true = failure, most recent last
+  let openedAt = null;
+  let halfOpenInFlight = 0;
+  // Bumped on every transition so a permit from an earlier half-open period can't free a slot in this one.
+  let generation = 0;
+  let lastTransitionAt = now();
+
+  function failureRate() {
+    if (outcomes.length === 0) return 0;
+    return outcomes.filter(Boolean).length / outcomes.length;
+  }
+
+  function transition(nextState, reason) {
+    if (state === nextState) return;
+    const previous = state;
+    state = nextState;
+    lastTransitionAt = now();
+    openedAt = nextState === STATES.OPEN ? lastTransitionAt : openedAt;
+    halfOpenInFlight = 0;
+    generation++;
+    if (nextState === STATES.CLOSED) outcomes = [];
+
+    logger.warn('Circuit breaker state change', {
+      circuit: name,
+      from: previous,
+      to: nextState,
+      reason,
+      failure_rate: failureRate(),
+      window_count: outcomes.length
+    });
+  }
+
+  /**
+   * Whether a call may be attempted right now (moves open -> half-open once openMs has passed)
+   * @returns {boolean}
+   */
+  function allowsRequests() {
+    if (state === STATES.OPEN && now() - openedAt >= openMs) {
+      transition(STATES.HALF_OPEN, 'open_timeout_elapsed');
+    }
+    if (state === STATES.OPEN) return false;
+    if (state === STATES.HALF_OPEN) return halfOpenInFlight < halfOpenMaxCalls;
+    return true;
+  }
+
+  /**
+   * Reserve the right to make one call. While half-open this takes one of the halfOpenMaxCalls probe
+   * slots, so checking and reserving happen together; pass the permit to execute() to use the slot.
+   * @returns {{probe: boolean, isHeld: function(): boolean, release: function(): void}|null} -
+   *   null while open or when every probe slot is taken; release() is idempotent
+   */
+  function tryAcquire() {
+    if (!allowsRequests()) return null;
+    if (state !== STATES.HALF_OPEN) return { probe: false, isHeld: () => false, release() {} };
+
+    halfOpenInFlight++;
+    const permitGeneration = generation;
+    let held = true;
+    return {
+      probe: true,
+      isHeld: () => held && permitGeneration === generation,
+      release() {
+        if (!held) return;
+        held = false;
+        if (permitGeneration === generation) halfOpenInFlight = Math.max(0, halfOpenInFlight - 1);
+      }
+    };
+  }
+
+  /**
+   * Record the outcome of one call
+   * @param {boolean} failed - Whether the call failed
+   * @param {number} latencyMs - How long the call took
+   */
+  function recordResult(failed, latencyMs) {
+    const slow = latencyMs > latencyThresholdMs;
+    const counted = failed || slow;
+
+    if (state === STATES.HALF_OPEN) {
+      transition(counted ? STATES.OPEN : STATES.CLOSED, counted ? (slow ? 'probe_slow' : 'probe_failed') : 'probe_succeeded');
+      return;
+    }
+
+    outcomes.push(counted);
+    if (outcomes.length > windowSize) outcomes.shift();
+
+    if (state === STATES.CLOSED && outcomes.length >= minRequests && failureRate() >= errorRateThreshold) {
+      transition(STATES.OPEN, slow ? 'latency_threshold' : 'error_rate_threshold');
+    }
+  }
+
+  /**
+   * Run a write through the breaker. The function must resolve to { success } like writeBatchToBigQuery;
+   * isFailure decides which unsuccessful results count against the circuit.
+   * @param {Function} fn - () => Promise<{ success: boolean }>
+   * @param {Function} isFailure - (result) => boolean
+   * @param {Object|null} permit - A probe permit the caller already reserved with tryAcquire; otherwise one is taken here
+   * @returns {Promise<Object>} - The function's result, or { success: false, errors: [CircuitOpenError] }
+   */
+  async function execute(fn, isFailure = result => !result.success, permit = null) {
+    const activePermit = permit?.probe && permit.isHeld() ? permit : tryAcquire();
+    if (!activePermit) {
+      return { success: false, errors: [createCircuitOpenError(name)] };
+    }
+
+    const startTime = now();
+    try {
+      const result = await fn();
+      activePermit.release();
+      recordResult(isFailure(result), now() - startTime);
+      return result;
+    } catch (error) {
+      activePermit.release();
+      recordResult(true, now() - startTime);
+      throw error;
+    }
+  }
+
+  function getState() {
+    // Reading the state also applies the open -> half-open timeout.
+    allowsRequests();
+    return {
+      name,
+      state,
+      failure_rate: failureRate(),
+      window_count: outcomes.length,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+      last_transition_at: new Date(lastTransitionAt).toISOString(),
+      config: { windowSize, minRequests, errorRateThreshold, latencyThresholdMs, openMs, halfOpenMaxCalls }
+    };
+  }
+
+  function reset() {
+    transition(STATES.CLOSED, 'manual_reset');
+    outcomes = [];
+  }
+
+  return { allowsRequests, tryAcquire, execute, recordResult, getState, reset };
+}
+
+/**
+ * Whether a write result means BigQuery itself is struggling. Row-level 'invalid' or 'duplicate'
+ * errors are data problems and don't count; total failures and timeouts do.
+ * @param {Object} result - A writeBatchToBigQuery result
+ * @returns {boolean}
+ */
+function isSinkFailure(result) {
+  if (result.success) return false;
+  const error = result.errors[0];
+  if (error?.name !== 'PartialFailureError') return true;
+  return (error.errors || []).some(rowError => !['invalid', 'duplicate', 'stopped'].includes(rowError.errors?.[0]?.reason));
+}
+
+// Shared breaker guarding BigQuery writes.
+const bigQueryBreaker = createCircuitBreaker({ name: 'bigquery' });
+
+module.exports = {
+  createCircuitBreaker,
+  createCircuitOpenError,
+  isSinkFailure,
+  bigQueryBreaker,
+  CB_ENABLED,
+  CB_OPEN_STATUS_CODE,
+  STATES
+};
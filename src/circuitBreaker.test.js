@@ -0,0 +1,107 @@
+// src/circuitBreaker.test.js
+
+const { createCircuitBreaker, isSinkFailure } = require('./circuitBreaker');
+
+describe('createCircuitBreaker', () => {
+  let clock;
+  let breaker;
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = createCircuitBreaker({
+      name: 'test',
+      windowSize: 4,
+      minRequests: 4,
+      errorRateThreshold: 0.5,
+      latencyThresholdMs: 100,
+      openMs: 1000,
+      now: () => clock,
+    });
+  });
+
+  test('should open once the failure rate crosses the threshold', () => {
+    breaker.recordResult(false, 10);
+    breaker.recordResult(false, 10);
+    breaker.recordResult(true, 10);
+    expect(breaker.getState().state).toBe('closed');
+
+    breaker.recordResult(true, 10);
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.allowsRequests()).toBe(false);
+  });
+
+  test('should count slow calls against the latency threshold', () => {
+    [500, 500, 10, 10].forEach(latency => breaker.recordResult(false, latency));
+    expect(breaker.getState().state).toBe('open');
+  });
+
+  test('should fast-fail while open without calling the write', async () => {
+    [true, true, true, true].forEach(failed => breaker.recordResult(failed, 10));
+    const write = jest.fn();
+
+    const result = await breaker.execute(write);
+
+    expect(write).not.toHaveBeenCalled();
+    expect(result.errors[0].name).toBe('CircuitOpenError');
+  });
+
+  test('should half-open after openMs and close again on a successful probe', async () => {
+    [true, true, true, true].forEach(failed => breaker.recordResult(failed, 10));
+    clock = 1000;
+
+    expect(breaker.getState().state).toBe('half_open');
+    await breaker.execute(async () => ({ success: true }));
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('should reopen when the half-open probe fails', async () => {
+    [true, true, true, true].forEach(failed => breaker.recordResult(failed, 10));
+    clock = 1000;
+
+    await breaker.execute(async () => ({ success: false, errors: [new Error('still down')] }));
+    expect(breaker.getState().state).toBe('open');
+  });
+
+  test('should reserve the half-open probe slot on tryAcquire and let execute use it', async () => {
+    [true, true, true, true].forEach(failed => breaker.recordResult(failed, 10));
+    clock = 1000;
+
+    const permit = breaker.tryAcquire();
+    expect(permit.probe).toBe(true);
+    expect(breaker.tryAcquire()).toBeNull();
+    expect(breaker.allowsRequests()).toBe(false);
+
+    const write = jest.fn(async () => ({ success: true }));
+    await breaker.execute(write, undefined, permit);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('should free the probe slot when a permit is released unused', () => {
+    [true, true, true, true].forEach(failed => breaker.recordResult(failed, 10));
+    clock = 1000;
+
+    breaker.tryAcquire().release();
+    const permit = breaker.tryAcquire();
+    expect(permit).not.toBeNull();
+    permit.release();
+    permit.release();
+    expect(breaker.allowsRequests()).toBe(true);
+  });
+});
+
+describe('isSinkFailure', () => {
+  const partialFailure = reason => ({
+    success: false,
+    errors: [{ name: 'PartialFailureError', errors: [{ index: 0, errors: [{ reason }] }] }],
+  });
+
+  test('should ignore row-level data errors', () => {
+    expect(isSinkFailure(partialFailure('invalid'))).toBe(false);
+  });
+
+  test('should count total failures and row timeouts', () => {
+    expect(isSinkFailure({ success: false, errors: [new Error('503 Service Unavailable')] })).toBe(true);
+    expect(isSinkFailure(partialFailure('timeout'))).toBe(true);
+  });
+});
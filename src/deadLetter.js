@@ -0,0 +1,129 @@
+// src/deadLetter.js
+// Optional direct publish of terminal failures to a reason-tagged dead-letter topic
+
+const { logger } = require('./logger');
+const { createLocalPubSub } = require('./localPubSub');
+
+const DLQ_PUBLISH_ENABLED = process.env.DLQ_PUBLISH_ENABLED === 'true';
+// Topic ID in this project, or a fully qualified projects/<p>/topics/<t> name.
+const DLQ_TOPIC = process.env.DLQ_TOPIC || 'call-audits-dlq';
+// 'pubsub' publishes for real; 'memory' keeps messages in-process (local runs and tests).
+const DLQ_PUBLISHER = process.env.DLQ_PUBLISHER || 'pubsub';
+
+// Pub/Sub limits attribute values to 1024 bytes.
+const MAX_ATTRIBUTE_BYTES = 1024;
+
+let publisherClient = null;
+let formattedTopic = null;
+
+/**
+ * Get the publisher selected by DLQ_PUBLISHER, creating it on first use
+ * @returns {Object} - A v1.PublisherClient-shaped client
+ */
+function getPublisherClient() {
+  if (!publisherClient) {
+    if (DLQ_PUBLISHER === 'memory') {
+      publisherClient = createLocalPubSub().publisher;
+    } else if (DLQ_PUBLISHER === 'pubsub') {
+      const { v1 } = require('@google-cloud/pubsub');
+      publisherClient = new v1.PublisherClient();
+    } else {
+      throw new Error(`Unknown DLQ_PUBLISHER "${DLQ_PUBLISHER}". Expected one of: pubsub, memory`);
+    }
+  }
+  return publisherClient;
+}
+
+/**
+ * Replace the dead-letter publisher (used by tests and tooling)
+ * @param {Object|null} client - A v1.PublisherClient-shaped client, or null to fall back to DLQ_PUBLISHER
+ */
+function setPublisherClient(client) {
+  publisherClient = client;
+  formattedTopic = null;
+}
+
+async function getFormattedTopic() {
+  if (!formattedTopic) {
+    formattedTopic = DLQ_TOPIC.includes('/')
+      ? DLQ_TOPIC
+      : `projects/${await getPublisherClient().getProjectId()}/topics/${DLQ_TOPIC}`;
+  }
+  return formattedTopic;
+}
+
+function truncateBytes(value, maxBytes = MAX_ATTRIBUTE_BYTES) {
+  const buffer = Buffer.from(String(value));
+  if (buffer.length <= maxBytes) return String(value);
+  // Cut on a byte budget, then drop any partial multi-byte character left at the end.
+  return buffer.subarray(0, maxBytes - 3).toString('utf8').replace(/�$/, '') + '...';
+}
+
+/**
+ * Serialize as many field errors as fit in one attribute value
+ * @returns {{value: string, truncated: boolean}|null}
+ */
+function serializeFieldErrors(fieldErrors) {
+  if (!fieldErrors || fieldErrors.length === 0) return null;
+  for (let count = fieldErrors.length; count > 0; count--) {
+    const value = JSON.stringify(fieldErrors.slice(0, count));
+    if (Buffer.byteLength(value) <= MAX_ATTRIBUTE_BYTES) {
+      return { value, truncated: count < fieldErrors.length };
+    }
+  }
+  return { value: '[]', truncated: true };
+}
+
+/**
+ * Build the dead-letter message: the original data and attributes plus the failure reason
+ * @param {Object} message - The push body's message ({ data, attributes, messageId, orderingKey })
+ * @param {{errorType: string, statusCode: number, error: string, fieldErrors?: Array}} failure
+ * @param {{messageId?: string, subscription?: string, deliveryAttempt?: number}} delivery
+ * @returns {{data: Buffer, attributes: Object<string, string>, orderingKey?: string}}
+ */
+function buildDeadLetterMessage(message, failure, delivery = {}) {
+  const attributes = {
+    ...Object.fromEntries(Object.entries(message.attributes || {}).filter(([key]) => !key.startsWith('googclient_'))),
+    'x-error-type': failure.errorType,
+    'x-error-status-code': String(failure.statusCode),
+    'x-error-message': truncateBytes(failure.error || ''),
+    'x-failed-at': new Date().toISOString(),
+    'x-original-message-id': delivery.messageId || 'unknown'
+  };
+  if (delivery.subscription) attributes['x-original-subscription'] = delivery.subscription;
+  if (delivery.deliveryAttempt) attributes['x-delivery-attempt'] = String(delivery.deliveryAttempt);
+  if (failure.escalated) attributes['x-escalated'] = 'true';
+
+  const validationDetails = serializeFieldErrors(failure.fieldErrors);
+  if (validationDetails) {
+    attributes['x-validation-details'] = validationDetails.value;
+    if (validationDetails.truncated) attributes['x-validation-details-truncated'] = 'true';
+  }
+
+  const deadLetter = { data: Buffer.from(message.data || '', 'base64'), attributes };
+  if (message.orderingKey) deadLetter.orderingKey = message.orderingKey;
+  return deadLetter;
+}
+
+/**
+ * Publish a terminal failure to DLQ_TOPIC
+ * @returns {Promise<string>} - The dead-letter message ID
+ */
+async function publishDeadLetter(message, failure, delivery) {
+  const topic = await getFormattedTopic();
+  const [response] = await getPublisherClient().publish({
+    topic,
+    messages: [buildDeadLetterMessage(message, failure, delivery)]
+  });
+  return response.messageIds[0];
+}
+
+module.exports = {
+  buildDeadLetterMessage,
+  publishDeadLetter,
+  getPublisherClient,
+  setPublisherClient,
+  DLQ_PUBLISH_ENABLED,
+  DLQ_TOPIC,
+  MAX_ATTRIBUTE_BYTES
+};
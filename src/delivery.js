@@ -0,0 +1,90 @@
+// src/delivery.js
+// Pub/Sub delivery metadata carried with every row: message ID, publish time, subscription, attempt and attributes
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const PUBSUB_ATTRIBUTES_FILE = process.env.PUBSUB_ATTRIBUTES_FILE || null;
+
+// event_type (or '*') -> attribute names written to pubsub_attributes; ['*'] keeps them all.
+// Event types with no entry (and no '*' entry) store no attributes.
+let attributeRules = {};
+
+/**
+ * Replace the per-event-type attribute pass-through rules
+ * @param {Object<string, string[]>} rules - e.g. { "call.metadata": ["origin"], "*": [] }
+ */
+function setAttributeRules(rules) {
+  for (const [eventType, names] of Object.entries(rules)) {
+    if (!Array.isArray(names)) {
+      throw new Error(`Attribute rule for "${eventType}" must be an array of attribute names`);
+    }
+  }
+  attributeRules = { ...rules };
+}
+
+/**
+ * Load attribute pass-through rules from a JSON config file
+ * @param {string} filePath - Path to a JSON file with a top-level "attributes" map
+ * @returns {number} - Number of event types configured
+ */
+function loadAttributeRules(filePath = PUBSUB_ATTRIBUTES_FILE) {
+  if (!filePath) {
+    attributeRules = {};
+    return 0;
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  setAttributeRules(config.attributes || {});
+  logger.info('Pub/Sub attribute pass-through loaded', { file: filePath, event_type_count: Object.keys(attributeRules).length });
+  return Object.keys(attributeRules).length;
+}
+
+/**
+ * Pick the message attributes to store for an event type
+ * @param {string} eventType - The event type
+ * @param {Object<string, string>} attributes - All attributes on the Pub/Sub message
+ * @returns {Object<string, string>|null} - Selected attributes, or null when none are configured or present
+ */
+function selectAttributes(eventType, attributes) {
+  const names = attributeRules[eventType] ?? attributeRules['*'] ?? [];
+  if (!attributes || names.length === 0) return null;
+
+  const selected = names.includes('*')
+    ? { ...attributes }
+    : Object.fromEntries(names.filter(name => name in attributes).map(name => [name, attributes[name]]));
+  return Object.keys(selected).length > 0 ? selected : null;
+}
+
+/**
+ * Read delivery metadata from a push request. Pub/Sub sends both camelCase and snake_case
+ * message fields; deliveryAttempt is only present when the subscription has a dead-letter policy.
+ * @param {Object} message - The push body's message object
+ * @param {{subscription?: string, deliveryAttempt?: number}} pushContext - Top-level push body fields
+ * @param {number} receivedAt - Epoch ms the request was received
+ * @returns {{messageId: string|null, publishTime: string|null, subscription: string|null, deliveryAttempt: number|null, attributes: Object|null, publishToReceiveMs: number|null}}
+ */
+function extractDeliveryMetadata(message = {}, pushContext = {}, receivedAt = Date.now()) {
+  const publishTime = message.publishTime || message.publish_time || null;
+  const publishedAt = publishTime ? Date.parse(publishTime) : NaN;
+  const deliveryAttempt = parseInt(pushContext.deliveryAttempt, 10);
+
+  return {
+    messageId: message.messageId || message.message_id || null,
+    publishTime,
+    subscription: pushContext.subscription || null,
+    deliveryAttempt: Number.isFinite(deliveryAttempt) ? deliveryAttempt : null,
+    attributes: message.attributes || null,
+    publishToReceiveMs: Number.isFinite(publishedAt) ? Math.max(0, receivedAt - publishedAt) : null
+  };
+}
+
+loadAttributeRules();
+
+module.exports = {
+  setAttributeRules,
+  loadAttributeRules,
+  selectAttributes,
+  extractDeliveryMetadata,
+  PUBSUB_ATTRIBUTES_FILE
+};
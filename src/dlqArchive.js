@@ -0,0 +1,150 @@
+// src/dlqArchive.js
+// NDJSON archive format and checksum manifests for DLQ export / import
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ARCHIVE_FORMAT_VERSION = 1;
+
+/**
+ * Manifest file written next to an archive
+ * @param {string} archivePath
+ * @returns {string}
+ */
+function manifestPathFor(archivePath) {
+  return `${archivePath}.manifest.json`;
+}
+
+/**
+ * Message data as a Buffer; the v1 client returns bytes, JSON push bodies and archives carry base64.
+ */
+function messageDataBuffer(data) {
+  return typeof data === 'string' ? Buffer.from(data, 'base64') : Buffer.from(data || []);
+}
+
+/**
+ * A publish time (ISO string or google.protobuf.Timestamp) as an ISO string, or null when absent.
+ */
+function publishTimeToIso(publishTime) {
+  if (!publishTime) return null;
+  if (typeof publishTime === 'string') return publishTime;
+  // google.protobuf.Timestamp from the v1 client
+  return new Date(Number(publishTime.seconds) * 1000 + Math.floor((publishTime.nanos || 0) / 1e6)).toISOString();
+}
+
+/**
+ * Serialize a pulled message as one archive line (without the trailing newline). Data is base64 so any bytes survive.
+ * @param {{message: Object}} receivedMessage
+ * @returns {string}
+ */
+function toArchiveLine({ message }) {
+  return JSON.stringify({
+    messageId: message.messageId,
+    publishTime: publishTimeToIso(message.publishTime),
+    orderingKey: message.orderingKey || '',
+    attributes: message.attributes || {},
+    data: messageDataBuffer(message.data).toString('base64')
+  });
+}
+
+/**
+ * Parse an archive line back into the pulled-message shape reconstructMessage expects
+ * @param {string} line
+ * @param {number} lineNumber - 1-based, for error messages
+ * @returns {{message: {messageId: string, publishTime: string|null, orderingKey: string, attributes: Object, data: string}}}
+ */
+function fromArchiveLine(line, lineNumber) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Archive line ${lineNumber} is not valid JSON: ${error.message}`);
+  }
+  if (!record || typeof record.data !== 'string') {
+    throw new Error(`Archive line ${lineNumber} has no base64 "data"`);
+  }
+  return {
+    message: {
+      messageId: record.messageId,
+      publishTime: record.publishTime ?? null,
+      orderingKey: record.orderingKey || '',
+      attributes: record.attributes || {},
+      data: record.data
+    }
+  };
+}
+
+/**
+ * Order-sensitive digest over message payloads: SHA-256 of each payload's SHA-256, one per line.
+ * An export and an import of the same messages in the same order produce the same value.
+ * @returns {{add: function(Buffer): void, count: function(): number, hex: function(): string}}
+ */
+function createDataDigest() {
+  const hash = crypto.createHash('sha256');
+  let count = 0;
+  return {
+    add(data) {
+      hash.update(`${crypto.createHash('sha256').update(data).digest('hex')}\n`);
+      count++;
+    },
+    count: () => count,
+    hex: () => hash.copy().digest('hex')
+  };
+}
+
+/**
+ * SHA-256 and size of a file, streamed
+ * @param {string} filePath
+ * @returns {Promise<{sha256: string, bytes: number}>}
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), bytes };
+}
+
+/**
+ * Write a manifest as pretty JSON
+ * @param {string} manifestPath
+ * @param {Object} manifest
+ */
+function writeManifest(manifestPath, manifest) {
+  fs.writeFileSync(manifestPath, `${JSON.stringify({ formatVersion: ARCHIVE_FORMAT_VERSION, ...manifest }, null, 2)}\n`);
+}
+
+/**
+ * Check an archive against the manifest written by export
+ * @param {string} archivePath
+ * @returns {Promise<Object|null>} - The export manifest, or null when there is none
+ * @throws {Error} - When the archive's checksum or size doesn't match
+ */
+async function verifyArchive(archivePath) {
+  const manifestPath = manifestPathFor(archivePath);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const { sha256, bytes } = await hashFile(archivePath);
+  if (sha256 !== manifest.archiveSha256 || bytes !== manifest.archiveBytes) {
+    throw new Error(`Archive ${path.basename(archivePath)} does not match its manifest ` +
+      `(sha256 ${sha256} vs ${manifest.archiveSha256}, ${bytes} vs ${manifest.archiveBytes} bytes)`);
+  }
+  return manifest;
+}
+
+module.exports = {
+  createDataDigest,
+  fromArchiveLine,
+  hashFile,
+  manifestPathFor,
+  messageDataBuffer,
+  publishTimeToIso,
+  toArchiveLine,
+  verifyArchive,
+  writeManifest,
+  ARCHIVE_FORMAT_VERSION
+};
@@ -0,0 +1,139 @@
+// src/escalation.js
+// Delivery-attempt-aware policies: escalate repeating transient failures to terminal, or hint when to retry
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const ESCALATION_POLICIES_FILE = process.env.ESCALATION_POLICIES_FILE || null;
+// Error history kept per message ID on this instance, for the escalation log line.
+const ESCALATION_HISTORY_SIZE = parseInt(process.env.ESCALATION_HISTORY_SIZE) || 1000;
+const DEFAULT_TERMINAL_STATUS_CODE = 422;
+// Failures that say nothing about the message itself: a policy may hint Retry-After but never escalate them,
+// and the '*' policy doesn't apply to them.
+const NEVER_ESCALATE = new Set(['circuit_open']);
+
+// errorType (or '*') -> { maxAttempts, terminalStatusCode, retryAfterBaseSec, retryAfterMaxSec }
+let policies = {};
+const attemptHistory = new Map(); // messageId -> [{ attempt, errorType, statusCode, error, at }], oldest message first
+
+/**
+ * Replace the escalation policies
+ * @param {Object<string, Object>} newPolicies - errorType (or '*') to
+ *   { maxAttempts?, terminalStatusCode?, retryAfterBaseSec?, retryAfterMaxSec? }
+ */
+function setEscalationPolicies(newPolicies) {
+  const validated = {};
+  for (const [errorType, policy] of Object.entries(newPolicies)) {
+    if (policy.maxAttempts !== undefined && !(Number.isInteger(policy.maxAttempts) && policy.maxAttempts > 0)) {
+      throw new Error(`Escalation policy "${errorType}" has invalid maxAttempts ${policy.maxAttempts}`);
+    }
+    if (policy.maxAttempts !== undefined && NEVER_ESCALATE.has(errorType)) {
+      throw new Error(`Escalation policy "${errorType}" cannot set maxAttempts; ${errorType} failures are never escalated`);
+    }
+    const terminalStatusCode = policy.terminalStatusCode ?? DEFAULT_TERMINAL_STATUS_CODE;
+    if (terminalStatusCode < 400 || terminalStatusCode > 499) {
+      throw new Error(`Escalation policy "${errorType}" must escalate to a 4xx status, got ${terminalStatusCode}`);
+    }
+    validated[errorType] = {
+      maxAttempts: policy.maxAttempts ?? null,
+      terminalStatusCode,
+      retryAfterBaseSec: policy.retryAfterBaseSec ?? null,
+      retryAfterMaxSec: policy.retryAfterMaxSec ?? 600
+    };
+  }
+  policies = validated;
+}
+
+/**
+ * Load escalation policies from a JSON config file
+ * @param {string} filePath - Path to a JSON file with a top-level "policies" map
+ * @returns {number} - Number of policies loaded
+ */
+function loadEscalationPolicies(filePath = ESCALATION_POLICIES_FILE) {
+  if (!filePath) {
+    policies = {};
+    return 0;
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  setEscalationPolicies(config.policies || {});
+  logger.info('Escalation policies loaded', { file: filePath, policy_count: Object.keys(policies).length });
+  return Object.keys(policies).length;
+}
+
+function recordAttempt(messageId, entry) {
+  if (!messageId) return [entry];
+  const entries = attemptHistory.get(messageId) || [];
+  entries.push(entry);
+  // Re-insert so the Map stays ordered by last activity, then drop the least recently seen messages.
+  attemptHistory.delete(messageId);
+  attemptHistory.set(messageId, entries);
+  while (attemptHistory.size > ESCALATION_HISTORY_SIZE) {
+    attemptHistory.delete(attemptHistory.keys().next().value);
+  }
+  return entries;
+}
+
+/**
+ * Apply the policy for a failed message's errorType. Terminal failures pass through unchanged.
+ * A transient failure on delivery attempt >= maxAttempts becomes terminal (escalated: true);
+ * below that, a policy with retryAfterBaseSec adds an exponential retryAfterSec hint.
+ * circuit_open failures only ever get the hint: a message rejected by an open circuit was never tried.
+ * @param {{isTerminal: boolean, statusCode: number, errorType?: string}} failure - Categorized failure
+ * @param {{messageId?: string, deliveryAttempt?: number}} delivery - From extractDeliveryMetadata
+ * @param {string} errorMessage - The failure's message, kept in the attempt history
+ * @returns {Object} - The failure, with isTerminal/statusCode/escalated/retryAfterSec updated by the policy
+ */
+function applyEscalationPolicy(failure, delivery, errorMessage) {
+  const errorType = failure.errorType || 'transient_error';
+  const neverEscalate = NEVER_ESCALATE.has(errorType);
+  const policy = policies[errorType] || (neverEscalate ? null : policies['*']);
+  if (failure.isTerminal || !policy) return failure;
+
+  const attempt = delivery.deliveryAttempt;
+  const history = recordAttempt(delivery.messageId, {
+    attempt,
+    errorType,
+    statusCode: failure.statusCode,
+    error: String(errorMessage || '').slice(0, 200),
+    at: new Date().toISOString()
+  });
+
+  // deliveryAttempt is only sent when the subscription has a dead-letter policy; without it we can't count.
+  if (!neverEscalate && policy.maxAttempts && attempt && attempt >= policy.maxAttempts) {
+    logger.warn('Transient error escalated to terminal', {
+      message_id: delivery.messageId,
+      delivery_attempt: attempt,
+      max_attempts: policy.maxAttempts,
+      error_type: errorType,
+      original_status_code: failure.statusCode,
+      terminal_status_code: policy.terminalStatusCode,
+      attempt_history: history
+    });
+    if (delivery.messageId) attemptHistory.delete(delivery.messageId);
+    return { ...failure, isTerminal: true, statusCode: policy.terminalStatusCode, escalated: true, escalatedFrom: failure.statusCode };
+  }
+
+  if (policy.retryAfterBaseSec) {
+    const retryAfterSec = Math.min(policy.retryAfterMaxSec, policy.retryAfterBaseSec * 2 ** ((attempt || 1) - 1));
+    return { ...failure, retryAfterSec };
+  }
+  return failure;
+}
+
+/**
+ * Forget escalation history (used by tests)
+ */
+function clearEscalationHistory() {
+  attemptHistory.clear();
+}
+
+loadEscalationPolicies();
+
+module.exports = {
+  setEscalationPolicies,
+  loadEscalationPolicies,
+  applyEscalationPolicy,
+  clearEscalationHistory,
+  ESCALATION_POLICIES_FILE
+};
@@ -0,0 +1,43 @@
+// src/fieldPath.js
+// Dot-path lookups used by config-driven rules (e.g. 'payload.status')
+
+/**
+ * Read a value from an object by dot path
+ * @param {Object} source - The object to read from (usually the envelope)
+ * @param {string} path - Dot-separated path, e.g. 'payload.call_id'
+ * @returns {*} - The value, or undefined if any segment is missing
+ */
+function getFieldValue(source, path) {
+  return path.split('.').reduce((value, segment) => (value == null ? undefined : value[segment]), source);
+}
+
+/**
+ * Write a value by dot path, creating intermediate objects as needed
+ * @param {Object} target - The object to modify in place
+ * @param {string} path - Dot-separated path
+ * @param {*} value - The value to write
+ */
+function setFieldValue(target, path, value) {
+  const segments = path.split('.');
+  const last = segments.pop();
+  let container = target;
+  for (const segment of segments) {
+    if (container[segment] == null || typeof container[segment] !== 'object') container[segment] = {};
+    container = container[segment];
+  }
+  container[last] = value;
+}
+
+/**
+ * Remove a value by dot path
+ * @param {Object} target - The object to modify in place
+ * @param {string} path - Dot-separated path
+ */
+function deleteFieldValue(target, path) {
+  const segments = path.split('.');
+  const last = segments.pop();
+  const container = segments.length > 0 ? getFieldValue(target, segments.join('.')) : target;
+  if (container != null && typeof container === 'object') delete container[last];
+}
+
+module.exports = { getFieldValue, setFieldValue, deleteFieldValue };
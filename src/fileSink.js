@@ -0,0 +1,166 @@
+// src/fileSink.js
+// Local NDJSON file sink with size/time rotation and insertId dedupe
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { createBigQueryRow } = require('./bq');
+const { BQ_DATASET, BQ_TABLE, destinationKey } = require('./routing');
+
+const FILE_SINK_DIR = process.env.FILE_SINK_DIR || path.join('tmp', 'sink');
+const FILE_SINK_MAX_BYTES = parseInt(process.env.FILE_SINK_MAX_BYTES) || 64 * 1024 * 1024;
+const FILE_SINK_ROTATE_MS = parseInt(process.env.FILE_SINK_ROTATE_MS) || 60 * 60 * 1000;
+const FILE_SINK_DEDUPE_WINDOW_MS = parseInt(process.env.FILE_SINK_DEDUPE_WINDOW_MS) || 10 * 60 * 1000;
+
+/**
+ * Build an error shaped like the BigQuery client's PartialFailureError
+ * @param {Array} rowErrors - Array of { index, errors: [{ reason, message }] }
+ * @returns {Error}
+ */
+function createPartialFailureError(rowErrors) {
+  const error = new Error('A failure occurred during this request.');
+  error.name = 'PartialFailureError';
+  error.errors = rowErrors;
+  return error;
+}
+
+/**
+ * Create a sink that appends rows to rotating NDJSON files, one file series per destination
+ * table (<dataset>.<table>-<time>-<seq>.ndjson).
+ * It honours the same contract as writeBatchToBigQuery: one invalid row fails the whole
+ * request, with the other rows reported as 'stopped', and repeated insertIds inside the
+ * dedupe window are silently dropped.
+ * @param {Object} options - { dir, maxBytes, rotateMs, dedupeWindowMs }
+ * @returns {{name: string, writeBatch: Function, getCurrentFile: Function}}
+ */
+function createFileSink(options = {}) {
+  const dir = options.dir || FILE_SINK_DIR;
+  const maxBytes = options.maxBytes || FILE_SINK_MAX_BYTES;
+  const rotateMs = options.rotateMs || FILE_SINK_ROTATE_MS;
+  const dedupeWindowMs = options.dedupeWindowMs || FILE_SINK_DEDUPE_WINDOW_MS;
+
+  // Dedupe is per destination, like BigQuery's per-table insertId dedupe.
+  const seenInsertIds = new Map();
+  // destination key -> { file, openedAt, bytes }
+  const currentFiles = new Map();
+  let fileSequence = 0;
+  // Serialize writes so rotation and appends never interleave between concurrent flushes.
+  let writeChain = Promise.resolve();
+
+  function rotateIfNeeded(key, now) {
+    const current = currentFiles.get(key);
+    if (current && current.bytes < maxBytes && now - current.openedAt < rotateMs) return current;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fileSequence++;
+    const next = {
+      file: path.join(dir, `${key}-${new Date(now).toISOString().replace(/[:.]/g, '-')}-${fileSequence}.ndjson`),
+      openedAt: now,
+      bytes: 0
+    };
+    currentFiles.set(key, next);
+    logger.info('File sink rotated', { file: next.file });
+    return next;
+  }
+
+  function pruneSeenInsertIds(now) {
+    for (const [insertId, seenAt] of seenInsertIds) {
+      if (now - seenAt < dedupeWindowMs) break;
+      seenInsertIds.delete(insertId);
+    }
+  }
+
+  async function appendRows(events, destination) {
+    const startTime = Date.now();
+    const key = destinationKey(destination);
+    const lines = [];
+    const rowErrors = [];
+
+    events.forEach(({ envelope, processedPayload, idempotencyKey, rowContext }, index) => {
+      try {
+        lines.push({ insertId: idempotencyKey, line: JSON.stringify(createBigQueryRow(envelope, processedPayload, idempotencyKey, rowContext)) });
+      } catch (error) {
+        rowErrors.push({ index, errors: [{ reason: 'invalid', message: error.message }] });
+      }
+    });
+
+    if (rowErrors.length > 0) {
+      const invalidIndexes = new Set(rowErrors.map(e => e.index));
+      events.forEach((_, index) => {
+        if (!invalidIndexes.has(index)) {
+          rowErrors.push({ index, errors: [{ reason: 'stopped', message: 'Row not written because another row in the request was invalid.' }] });
+        }
+      });
+      logger.error('File sink batch write partial failure', {
+        batch_size: events.length,
+        failure_count: invalidIndexes.size,
+        insert_status: 'BATCH_PARTIAL_FAILURE'
+      });
+      return { success: false, errors: [createPartialFailureError(rowErrors)] };
+    }
+
+    const now = Date.now();
+    pruneSeenInsertIds(now);
+    const batchKeys = new Set();
+    const freshLines = lines.filter(({ insertId }) => {
+      const dedupeKey = `${key}:${insertId}`;
+      if (seenInsertIds.has(dedupeKey) || batchKeys.has(dedupeKey)) return false;
+      batchKeys.add(dedupeKey);
+      return true;
+    });
+
+    let current = currentFiles.get(key);
+    if (freshLines.length > 0) {
+      current = rotateIfNeeded(key, now);
+      const chunk = freshLines.map(({ line }) => line).join('\n') + '\n';
+      await fs.promises.appendFile(current.file, chunk);
+      current.bytes += Buffer.byteLength(chunk);
+    }
+    // Only rows that reached the file count as seen, so the retry of a failed write is not dropped as a duplicate.
+    batchKeys.forEach(dedupeKey => seenInsertIds.set(dedupeKey, now));
+
+    const processingTime = Date.now() - startTime;
+    const logMetadata = {
+      batch_size: events.length,
+      duplicate_count: lines.length - freshLines.length,
+      processing_time_ms: processingTime,
+      insert_status: 'BATCH_SUCCESS',
+      destination: key,
+      file: current?.file
+    };
+    logger.info('File sink batch write success', logMetadata);
+
+    return { success: true, count: events.length, processingTime, logMetadata };
+  }
+
+  /**
+   * Write events to the current NDJSON file
+   * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey, rowContext} objects
+   * @param {{dataset: string, table: string}} destination - Target table (defaults to BQ_DATASET.BQ_TABLE)
+   * @returns {Promise<Object>} - Same result shape as writeBatchToBigQuery
+   */
+  function writeBatch(events, destination = { dataset: BQ_DATASET, table: BQ_TABLE }) {
+    const result = writeChain.then(() => appendRows(events, destination)).catch(error => {
+      logger.error('File sink batch write failed', {
+        batch_size: events.length,
+        error: error.message,
+        insert_status: 'BATCH_ERROR'
+      });
+      return { success: false, errors: [error] };
+    });
+    writeChain = result;
+    return result;
+  }
+
+  return {
+    name: 'file',
+    writeBatch,
+    getCurrentFile: (destination = { dataset: BQ_DATASET, table: BQ_TABLE }) => currentFiles.get(destinationKey(destination))?.file || null
+  };
+}
+
+module.exports = {
+  createFileSink,
+  createPartialFailureError,
+  FILE_SINK_DIR
+};
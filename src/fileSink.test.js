@@ -0,0 +1,90 @@
+// src/fileSink.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileSink } = require('./fileSink');
+
+const createEvent = (callId, payload = {}) => ({
+  envelope: {
+    envelope_version: 1,
+    event_type: 'call.metadata',
+    schema_version: 1,
+    tenant_id: 'org-file-sink',
+    occurred_at: '2025-08-28T12:00:00Z',
+  },
+  processedPayload: { call_id: callId, ...payload },
+  idempotencyKey: callId,
+  rowContext: {},
+});
+
+const readRows = (dir) => fs.readdirSync(dir)
+  .flatMap(file => fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n'))
+  .map(line => JSON.parse(line));
+
+describe('createFileSink', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-sink-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should append rows as NDJSON and report success', async () => {
+    const sink = createFileSink({ dir });
+    const result = await sink.writeBatch([createEvent('call-1'), createEvent('call-2')]);
+
+    expect(result.success).toBe(true);
+    expect(result.logMetadata.insert_status).toBe('BATCH_SUCCESS');
+    expect(readRows(dir).map(row => row.idempotencyKey)).toEqual(['call-1', 'call-2']);
+  });
+
+  test('should drop repeated insertIds inside the dedupe window', async () => {
+    const sink = createFileSink({ dir });
+    await sink.writeBatch([createEvent('call-1')]);
+    const result = await sink.writeBatch([createEvent('call-1'), createEvent('call-2')]);
+
+    expect(result.success).toBe(true);
+    expect(result.logMetadata.duplicate_count).toBe(1);
+    expect(readRows(dir)).toHaveLength(2);
+  });
+
+  test('should rotate to a new file once the size limit is reached', async () => {
+    const sink = createFileSink({ dir, maxBytes: 1 });
+    await sink.writeBatch([createEvent('call-1')]);
+    await sink.writeBatch([createEvent('call-2')]);
+
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+  });
+
+  test('should fail the batch like BigQuery when one row is invalid', async () => {
+    const sink = createFileSink({ dir });
+    const result = await sink.writeBatch([createEvent('call-1'), createEvent('call-2', { big: BigInt(1) })]);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0].name).toBe('PartialFailureError');
+    const reasons = Object.fromEntries(result.errors[0].errors.map(e => [e.index, e.errors[0].reason]));
+    expect(reasons).toEqual({ 0: 'stopped', 1: 'invalid' });
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('should write the retry of a failed write instead of dropping it as a duplicate', async () => {
+    const sink = createFileSink({ dir });
+    const appendFile = jest.spyOn(fs.promises, 'appendFile').mockRejectedValueOnce(new Error('ENOSPC'));
+
+    try {
+      const failed = await sink.writeBatch([createEvent('call-1')]);
+      const retried = await sink.writeBatch([createEvent('call-1')]);
+
+      expect(failed.success).toBe(false);
+      expect(retried.success).toBe(true);
+      expect(retried.logMetadata.duplicate_count).toBe(0);
+      expect(readRows(dir).map(row => row.idempotencyKey)).toEqual(['call-1']);
+    } finally {
+      appendFile.mockRestore();
+    }
+  });
+});
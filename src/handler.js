@@ -4,9 +4,19 @@
 const { logger } = require('./logger');
 const { validateAndExtractKey } = require('./validation');
 const { processPayload } = require('./phone');
-const { evaluateSampling } = require('./sampling');
-const { writeBatchToBigQuery } = require('./bq');
+const { upcastPayload } = require('./upcasting');
+// Registers the built-in upcasters.
+require('./upcasters');
+const { evaluateSampling, isSamplingRuleTenant } = require('./sampling');
+const { isRegisteredEventType } = require('./schemaRegistry');
+const { writeBatch, acquireWritePermit, getSink } = require('./sink');
+const { createCircuitOpenError, CB_OPEN_STATUS_CODE } = require('./circuitBreaker');
+const { resolveDestination } = require('./routing');
 const { queueForBatch, flushPendingBatch, getBatchState } = require('./batchProcessor');
+const { extractDeliveryMetadata, selectAttributes } = require('./delivery');
+const { applyEscalationPolicy } = require('./escalation');
+const { publishDeadLetter, DLQ_PUBLISH_ENABLED } = require('./deadLetter');
+const { samplingDecisionsTotal, ingestionLag, publishLatency, escalationsTotal, recordMessageOutcome, boundedLabel } = require('./metrics');
 
 const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 1;
 
@@ -14,50 +24,133 @@ const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 1;
  * Determines if a pre-processing error is terminal (4xx) or transient (5xx).
  */
 function categorizeError(error) {
+  // The sink's circuit is open: back off without counting this as a failure of the message.
+  if (error.name === 'CircuitOpenError') {
+    return { isTerminal: false, statusCode: CB_OPEN_STATUS_CODE, errorType: 'circuit_open' };
+  }
+
   // fix: Add a check for the specific PartialFailureError from BigQuery.
   if (error.name === 'PartialFailureError') {
     return { isTerminal: false, statusCode: 503, errorType: 'transient_error' };
   }
 
+  // An upcaster rejected the payload; retrying the same data would fail the same way.
+  if (error.name === 'UpcastError') {
+    return { isTerminal: true, statusCode: 422, errorType: 'validation_error' };
+  }
+
   // Ensure error.message exists before trying to read it.
   const message = error.message ? error.message.toLowerCase() : '';
 
   if (error instanceof SyntaxError || message.includes('invalid json') || message.includes('malformed envelope')) {
     return { isTerminal: true, statusCode: 422, errorType: 'format_error' };
   }
-  if (message.includes('missing required fields') || message.includes('no idempotency key') || message.includes('occurred_at must be a valid')) {
+  if (message.includes('missing required fields') || message.includes('no idempotency key') || message.includes('occurred_at must be a valid') ||
+      message.includes('schema_version must be a positive integer') || message.includes('failed schema validation') ||
+      message.includes('no upcaster path')) {
     return { isTerminal: true, statusCode: 400, errorType: 'validation_error' };
   }
   return { isTerminal: false, statusCode: 503, errorType: 'transient_error' };
 }
 
+/**
+ * Applies the errorType's delivery-attempt policy to a failure and counts escalations.
+ */
+function escalate(failure, delivery, errorMessage) {
+  const result = applyEscalationPolicy(failure, delivery, errorMessage);
+  if (result.escalated) {
+    escalationsTotal.inc({ error_type: result.errorType || 'transient_error' });
+  }
+  return result;
+}
+
+/**
+ * With DLQ_PUBLISH_ENABLED, publishes a terminal failure to the dead-letter topic with its reason
+ * and acks the push. If that publish fails the 4xx is returned, so the subscription's own
+ * dead-letter policy still applies.
+ */
+async function deadLetterIfTerminal(result, message, delivery) {
+  if (!DLQ_PUBLISH_ENABLED || !result.isTerminal) return result;
+  try {
+    const deadLetterMessageId = await publishDeadLetter(message || {}, result, delivery);
+    logger.warn('Terminal failure published to dead-letter topic', {
+      message_id: delivery.messageId,
+      dead_letter_message_id: deadLetterMessageId,
+      error_type: result.errorType,
+      status_code: result.statusCode
+    });
+    return { ...result, success: true, statusCode: 204, deadLettered: true, deadLetterMessageId };
+  } catch (error) {
+    logger.error('Dead-letter publish failed; leaving the message to the subscription', {
+      message_id: delivery.messageId,
+      error_type: result.errorType,
+      error: error.message
+    });
+    return result;
+  }
+}
+
 /**
  * Processes a single Pub/Sub message.
+ * @param {Object} message - The push body's message ({ data, attributes, messageId, publishTime })
+ * @param {{subscription?: string, deliveryAttempt?: number}} pushContext - Top-level push body fields
  */
-async function processPubSubMessage(message) {
+async function processPubSubMessage(message, pushContext = {}) {
   let envelope;
   let idempotencyKey;
+  let writePermit = null;
   const startTime = Date.now();
+  const delivery = extractDeliveryMetadata(message, pushContext, startTime);
+  if (delivery.publishToReceiveMs !== null) {
+    publishLatency.observe({}, delivery.publishToReceiveMs / 1000);
+  }
 
   try {
     if (!message?.data) throw new Error('Invalid Pub/Sub message format');
     envelope = JSON.parse(Buffer.from(message.data, 'base64').toString());
 
     const validation = validateAndExtractKey(envelope);
-    if (!validation.isValid) throw new Error(validation.errors.join('; '));
+    if (!validation.isValid) {
+      const validationError = new Error(validation.errors.join('; '));
+      validationError.fieldErrors = validation.fieldErrors;
+      throw validationError;
+    }
     idempotencyKey = validation.idempotencyKey;
+    const occurredAt = Date.parse(envelope.occurred_at);
+    if (Number.isFinite(occurredAt)) {
+      ingestionLag.observe({ event_type: boundedLabel(envelope.event_type, isRegisteredEventType) }, Math.max(0, startTime - occurredAt) / 1000);
+    }
 
-    const shouldProcess = evaluateSampling(idempotencyKey, envelope);
-    if (!shouldProcess) {
+    const samplingDecision = evaluateSampling(idempotencyKey, envelope);
+    samplingDecisionsTotal.inc({
+      tenant_id: boundedLabel(envelope.tenant_id, isSamplingRuleTenant),
+      decision: samplingDecision.sampled ? 'sampled' : 'dropped',
+      reason: samplingDecision.reason
+    });
+    if (!samplingDecision.sampled) {
       logger.info('Event sampled out', {
         idempotencyKey: idempotencyKey,
+        message_id: delivery.messageId,
         tenant_id: envelope.tenant_id,
-        sampled: false
+        sampled: false,
+        sampling_reason: samplingDecision.reason
       });
       return { success: true, sampled: false, statusCode: 204, processingTime: Date.now() - startTime };
     }
 
-    const processedPayload = processPayload(envelope.payload);
+    // Fail fast while the sink's circuit is open instead of waiting on a write that will fail.
+    // In half-open this also reserves a probe slot, so only CB_HALF_OPEN_MAX_CALLS messages get past here.
+    writePermit = acquireWritePermit();
+    if (!writePermit) throw createCircuitOpenError(getSink().name);
+
+    const upcast = upcastPayload(envelope.event_type, envelope.schema_version, processPayload(envelope.payload));
+    const processedPayload = upcast.payload;
+    const rowContext = {
+      effectiveSchemaVersion: upcast.effectiveVersion,
+      samplingReason: samplingDecision.reason,
+      receivedAt: new Date(startTime).toISOString(),
+      delivery: { ...delivery, attributes: selectAttributes(envelope.event_type, delivery.attributes) }
+    };
     const individualProcessingTime = Date.now() - startTime;
 
     if (MAX_BATCH_SIZE > 1) {
@@ -66,14 +159,24 @@ async function processPubSubMessage(message) {
         tenant_id: envelope.tenant_id,
         event_type: envelope.event_type,
         trace_id: envelope.trace_id,
+        message_id: delivery.messageId,
+        delivery_attempt: delivery.deliveryAttempt,
+        publish_to_receive_ms: delivery.publishToReceiveMs,
         sampled: true,
+        sampling_reason: samplingDecision.reason,
+        original_schema_version: upcast.originalVersion,
+        effective_schema_version: upcast.effectiveVersion,
         insert_status: 'BATCHED',
         individual_processing_time_ms: individualProcessingTime
       };
       logger.info('Message queued for batch processing', logMetadata);
-      return await queueForBatch(envelope, processedPayload, idempotencyKey, individualProcessingTime, logMetadata);
+      const batchResult = await queueForBatch(envelope, processedPayload, idempotencyKey, individualProcessingTime, logMetadata, rowContext, writePermit);
+      // Per-row failures are logged by batchProcessor; only the delivery-attempt policy is applied here.
+      return batchResult.success
+        ? batchResult
+        : await deadLetterIfTerminal(escalate(batchResult, delivery, batchResult.error), message, delivery);
     } else {
-      const writeResult = await writeBatchToBigQuery([{ envelope, processedPayload, idempotencyKey }]);
+      const writeResult = await writeBatch([{ envelope, processedPayload, idempotencyKey, rowContext }], resolveDestination(envelope), { permit: writePermit });
       if (!writeResult.success) throw writeResult.errors[0];
       
       return { 
@@ -85,16 +188,21 @@ async function processPubSubMessage(message) {
     }
   } catch (error) {
     const processingTime = Date.now() - startTime;
-    const errorCategory = categorizeError(error);
     const errorMessage = error.message || 'Batch insert failed with partial failures.';
+    const errorCategory = escalate(categorizeError(error), delivery, errorMessage);
     
     const errorMetadata = {
       idempotencyKey: idempotencyKey,
       tenant_id: envelope?.tenant_id,
       event_type: envelope?.event_type,
       trace_id: envelope?.trace_id,
+      message_id: delivery.messageId,
+      delivery_attempt: delivery.deliveryAttempt,
       error: errorMessage,
       error_type: errorCategory.errorType,
+      escalated: errorCategory.escalated,
+      retry_after_sec: errorCategory.retryAfterSec,
+      field_errors: error.fieldErrors,
       insert_status: errorCategory.isTerminal ? 'TERMINAL_ERROR' : 'TRANSIENT_ERROR',
       processing_time_ms: processingTime
     };
@@ -104,7 +212,10 @@ async function processPubSubMessage(message) {
     } else {
       logger.error('Transient error - message will be retried', errorMetadata);
     }
-    return { success: false, ...errorCategory, error: errorMessage, processingTime };
+    const failure = { success: false, ...errorCategory, error: errorMessage, fieldErrors: error.fieldErrors, processingTime };
+    return await deadLetterIfTerminal(failure, message, delivery);
+  } finally {
+    writePermit?.release();
   }
 }
 
@@ -113,10 +224,13 @@ async function processPubSubMessage(message) {
  */
 async function handlePubSubRequest(req, res) {
   try {
-    const result = await processPubSubMessage(req.body.message);
+    const { message, subscription, deliveryAttempt } = req.body;
+    const result = await processPubSubMessage(message, { subscription, deliveryAttempt });
+    recordMessageOutcome(result);
     if (result.success) {
       return res.status(result.statusCode).send();
     } else {
+      if (result.retryAfterSec) res.set('Retry-After', String(result.retryAfterSec));
       const body = result.isTerminal ? `Bad Request: ${result.error}` : 'Internal Server Error';
       return res.status(result.statusCode).send(body);
     }
@@ -124,6 +238,7 @@ async function handlePubSubRequest(req, res) {
     logger.error('Unexpected error in handler', {
       error: error.message,
     });
+    recordMessageOutcome({ success: false, isTerminal: false, errorType: 'unexpected_error' });
     return res.status(503).send('Internal Server Error');
   }
 }
@@ -10,7 +10,8 @@ jest.mock('./validation', () => ({
   validateAndExtractKey: jest.fn(),
 }));
 jest.mock('./sampling', () => ({
-  evaluateSampling: jest.fn().mockReturnValue(true),
+  evaluateSampling: jest.fn().mockReturnValue({ sampled: true, reason: 'hashed' }),
+  isSamplingRuleTenant: jest.fn().mockReturnValue(false),
 }));
 jest.mock('./phone', () => ({
   processPayload: jest.fn(payload => payload), // Return payload unmodified
@@ -19,12 +20,23 @@ jest.mock('./phone', () => ({
 
 const { writeBatchToBigQuery } = require('./bq');
 const { validateAndExtractKey } = require('./validation');
+const { bigQueryBreaker, createCircuitBreaker } = require('./circuitBreaker');
+const { setSink } = require('./sink');
+const { setAttributeRules } = require('./delivery');
+const { setEscalationPolicies, clearEscalationHistory } = require('./escalation');
+const { registerUpcaster, clearUpcasters } = require('./upcasting');
+const { registerBuiltInUpcasters } = require('./upcasters');
 
 describe('processPubSubMessage', () => {
   beforeEach(() => {
     jest.clearAllMocks();
   });
 
+  afterEach(() => {
+    bigQueryBreaker.reset();
+    setSink(null);
+  });
+
   test('should return logMetadata in single-message mode', async () => {
     // Mock a successful validation and BQ write that includes logMetadata
     validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'single-key' });
@@ -57,4 +69,241 @@ describe('processPubSubMessage', () => {
     // 3. Verify a specific field within the metadata to confirm it's the correct object
     expect(result.logMetadata.insert_status).toBe('BATCH_SUCCESS');
   });
-});
\ No newline at end of file
+
+  test('should return 503 without writing while the circuit is open', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'open-key' });
+    for (let i = 0; i < 20; i++) bigQueryBreaker.recordResult(true, 0);
+
+    const message = {
+      data: Buffer.from(JSON.stringify({ tenant_id: 'test' })).toString('base64'),
+    };
+    const result = await processPubSubMessage(message);
+
+    expect(result.statusCode).toBe(503);
+    expect(result.errorType).toBe('circuit_open');
+    expect(writeBatchToBigQuery).not.toHaveBeenCalled();
+  });
+
+  test('should let only halfOpenMaxCalls messages through while half-open', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'probe-key' });
+    let clock = 0;
+    const breaker = createCircuitBreaker({ name: 'probe-test', windowSize: 2, minRequests: 2, openMs: 1000, halfOpenMaxCalls: 1, now: () => clock });
+    setSink({
+      name: 'probe-test',
+      writeBatch: (events, destination, options = {}) =>
+        breaker.execute(() => writeBatchToBigQuery(events, destination), undefined, options.permit),
+      acquireWritePermit: () => breaker.tryAcquire()
+    });
+    breaker.recordResult(true, 0);
+    breaker.recordResult(true, 0);
+    clock = 1000;
+
+    let finishProbe;
+    writeBatchToBigQuery.mockReturnValueOnce(new Promise(resolve => { finishProbe = resolve; }));
+    const message = { data: Buffer.from(JSON.stringify({ tenant_id: 'test' })).toString('base64') };
+
+    const probe = processPubSubMessage(message);
+    const results = await Promise.all([processPubSubMessage(message), processPubSubMessage(message)]);
+    finishProbe({ success: true, processingTime: 1 });
+
+    expect(results.map(result => result.errorType)).toEqual(['circuit_open', 'circuit_open']);
+    expect((await probe).statusCode).toBe(204);
+    expect(writeBatchToBigQuery).toHaveBeenCalledTimes(1);
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('should carry Pub/Sub delivery metadata and selected attributes into the row context', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'delivery-key' });
+    writeBatchToBigQuery.mockResolvedValue({ success: true, count: 1 });
+    setAttributeRules({ 'call.metadata': ['origin'] });
+
+    const publishTime = new Date(Date.now() - 1500).toISOString();
+    const message = {
+      data: Buffer.from(JSON.stringify({ tenant_id: 'test', event_type: 'call.metadata', schema_version: 2 })).toString('base64'),
+      messageId: '1234567890',
+      publishTime,
+      attributes: { origin: 'pbx-eu', googclient_schemaencoding: 'JSON' },
+    };
+    const result = await processPubSubMessage(message, { subscription: 'projects/demo/subscriptions/call-etl-sub', deliveryAttempt: 3 });
+    setAttributeRules({});
+
+    expect(result.success).toBe(true);
+    const [[{ rowContext }]] = writeBatchToBigQuery.mock.calls[0];
+    expect(rowContext.delivery).toMatchObject({
+      messageId: '1234567890',
+      publishTime,
+      subscription: 'projects/demo/subscriptions/call-etl-sub',
+      deliveryAttempt: 3,
+      attributes: { origin: 'pbx-eu' },
+    });
+    expect(rowContext.delivery.publishToReceiveMs).toBeGreaterThanOrEqual(1500);
+  });
+
+  test('should store call.metadata v1 payloads in the v2 shape through the built-in upcaster', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'upcast-key' });
+    writeBatchToBigQuery.mockResolvedValue({ success: true, count: 1 });
+
+    const envelope = { tenant_id: 'test', event_type: 'call.metadata', schema_version: 1, payload: { call_id: 'c-1', caller: '+14155550001', duration: 30.4, status: 'COMPLETED' } };
+    const result = await processPubSubMessage({ data: Buffer.from(JSON.stringify(envelope)).toString('base64') });
+
+    expect(result.success).toBe(true);
+    const [[{ processedPayload, rowContext }]] = writeBatchToBigQuery.mock.calls[0];
+    expect(processedPayload).toEqual({ call_id: 'c-1', caller: '+14155550001', duration: 30, status: 'completed' });
+    expect(rowContext.effectiveSchemaVersion).toBe(2);
+  });
+
+  test('should reject a payload an upcaster throws on as a terminal 422', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'bad-upcast-key' });
+    registerUpcaster('test.event', 1, () => { throw new Error('cannot convert'); });
+
+    const envelope = { tenant_id: 'test', event_type: 'test.event', schema_version: 1, payload: {} };
+    const result = await processPubSubMessage({ data: Buffer.from(JSON.stringify(envelope)).toString('base64') });
+    clearUpcasters();
+    registerBuiltInUpcasters();
+
+    expect(result).toMatchObject({ success: false, isTerminal: true, statusCode: 422, errorType: 'validation_error' });
+    expect(result.error).toContain('Upcaster for test.event v1 -> v2 failed: cannot convert');
+    expect(writeBatchToBigQuery).not.toHaveBeenCalled();
+  });
+
+  test('should escalate a repeating transient failure to terminal after the configured delivery attempts', async () => {
+    validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'escalate-key' });
+    writeBatchToBigQuery.mockResolvedValue({ success: false, errors: [new Error('socket hang up')] });
+    setEscalationPolicies({ transient_error: { maxAttempts: 5 } });
+
+    const message = {
+      data: Buffer.from(JSON.stringify({ tenant_id: 'test' })).toString('base64'),
+      messageId: 'poison-1',
+    };
+    const retried = await processPubSubMessage(message, { deliveryAttempt: 4 });
+    const escalated = await processPubSubMessage(message, { deliveryAttempt: 5 });
+    setEscalationPolicies({});
+    clearEscalationHistory();
+
+    expect(retried).toMatchObject({ isTerminal: false, statusCode: 503 });
+    expect(escalated).toMatchObject({ isTerminal: true, statusCode: 422, escalated: true, errorType: 'transient_error' });
+  });
+
+  describe('with DLQ_PUBLISH_ENABLED', () => {
+    let isolated;
+    let localPubSub;
+
+    beforeAll(() => {
+      process.env.DLQ_PUBLISH_ENABLED = 'true';
+      process.env.DLQ_TOPIC = 'projects/local-project/topics/call-audits-dlq';
+      jest.isolateModules(() => {
+        isolated = {
+          handler: require('./handler'),
+          deadLetter: require('./deadLetter'),
+          validation: require('./validation'),
+          bq: require('./bq'),
+          circuitBreaker: require('./circuitBreaker'),
+          escalation: require('./escalation'),
+        };
+      });
+      delete process.env.DLQ_PUBLISH_ENABLED;
+      delete process.env.DLQ_TOPIC;
+      localPubSub = require('./localPubSub').createLocalPubSub();
+      isolated.deadLetter.setPublisherClient(localPubSub.publisher);
+    });
+
+    beforeEach(() => {
+      localPubSub.clear();
+    });
+
+    const validationFailure = () => {
+      isolated.validation.validateAndExtractKey.mockReturnValue({
+        isValid: false,
+        errors: ['Payload failed schema validation for call.metadata v1'],
+        fieldErrors: [{ field: 'payload.duration', message: 'must be integer' }],
+      });
+      return { data: Buffer.from(JSON.stringify({ tenant_id: 'test' })).toString('base64'), messageId: 'bad-1' };
+    };
+
+    test('should publish terminal failures with their reason and ack the push', async () => {
+      const result = await isolated.handler.processPubSubMessage(validationFailure(), { deliveryAttempt: 1 });
+
+      expect(result).toMatchObject({ success: true, statusCode: 204, deadLettered: true, errorType: 'validation_error' });
+      const [published] = localPubSub.getPublished('projects/local-project/topics/call-audits-dlq');
+      expect(published.attributes).toMatchObject({
+        'x-error-type': 'validation_error',
+        'x-original-message-id': 'bad-1',
+        'x-validation-details': '[{"field":"payload.duration","message":"must be integer"}]',
+      });
+      expect(JSON.parse(published.data.toString())).toEqual({ tenant_id: 'test' });
+    });
+
+    test('should fall back to the 4xx response when the dead-letter publish fails', async () => {
+      isolated.deadLetter.setPublisherClient({
+        getProjectId: async () => 'local-project',
+        publish: async () => { throw new Error('PERMISSION_DENIED'); },
+      });
+      const result = await isolated.handler.processPubSubMessage(validationFailure());
+      isolated.deadLetter.setPublisherClient(localPubSub.publisher);
+
+      expect(result).toMatchObject({ success: false, statusCode: 400, isTerminal: true });
+      expect(result.deadLettered).toBeUndefined();
+    });
+
+    test('should not dead-letter transient failures', async () => {
+      isolated.validation.validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'transient-key' });
+      isolated.bq.writeBatchToBigQuery.mockResolvedValue({ success: false, errors: [new Error('backend error')] });
+
+      const result = await isolated.handler.processPubSubMessage({ data: Buffer.from('{"tenant_id":"test"}').toString('base64') });
+
+      expect(result).toMatchObject({ success: false, statusCode: 503 });
+      expect(localPubSub.getPublished('projects/local-project/topics/call-audits-dlq')).toHaveLength(0);
+    });
+
+    test('should not escalate a batch rejected by a circuit that opened after it was queued', async () => {
+      let batched;
+      Object.assign(process.env, { DLQ_PUBLISH_ENABLED: 'true', DLQ_TOPIC: 'projects/local-project/topics/call-audits-dlq', MAX_BATCH_SIZE: '2', MAX_BATCH_WAIT_MS: '50' });
+      jest.isolateModules(() => {
+        batched = {
+          handler: require('./handler'),
+          deadLetter: require('./deadLetter'),
+          validation: require('./validation'),
+          bq: require('./bq'),
+          circuitBreaker: require('./circuitBreaker'),
+          escalation: require('./escalation'),
+        };
+      });
+      ['DLQ_PUBLISH_ENABLED', 'DLQ_TOPIC', 'MAX_BATCH_SIZE', 'MAX_BATCH_WAIT_MS'].forEach(name => delete process.env[name]);
+      batched.deadLetter.setPublisherClient(localPubSub.publisher);
+      batched.escalation.setEscalationPolicies({ '*': { maxAttempts: 3 } });
+      batched.validation.validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'batched-key' });
+
+      const pending = batched.handler.processPubSubMessage(
+        { data: Buffer.from('{"tenant_id":"test","payload":{"call_id":"c-1"}}').toString('base64'), messageId: 'batched-1' },
+        { deliveryAttempt: 6 }
+      );
+      await new Promise(resolve => setTimeout(resolve, 10));
+      for (let i = 0; i < 20; i++) batched.circuitBreaker.bigQueryBreaker.recordResult(true, 0);
+      const result = await pending;
+
+      expect(result).toMatchObject({ success: false, isTerminal: false, statusCode: 503, errorType: 'circuit_open' });
+      expect(result.escalated).toBeUndefined();
+      expect(batched.bq.writeBatchToBigQuery).not.toHaveBeenCalled();
+      expect(localPubSub.getPublished('projects/local-project/topics/call-audits-dlq')).toHaveLength(0);
+    });
+
+    test('should not escalate circuit_open failures under a catch-all policy', async () => {
+      isolated.validation.validateAndExtractKey.mockReturnValue({ isValid: true, idempotencyKey: 'open-key' });
+      isolated.escalation.setEscalationPolicies({ '*': { maxAttempts: 3 } });
+      const { bigQueryBreaker } = isolated.circuitBreaker;
+      for (let i = 0; i < 20; i++) bigQueryBreaker.recordResult(true, 0);
+
+      const result = await isolated.handler.processPubSubMessage(
+        { data: Buffer.from('{"tenant_id":"test"}').toString('base64'), messageId: 'open-1' },
+        { deliveryAttempt: 5 }
+      );
+      bigQueryBreaker.reset();
+      isolated.escalation.setEscalationPolicies({});
+
+      expect(result).toMatchObject({ success: false, isTerminal: false, statusCode: 503, errorType: 'circuit_open' });
+      expect(result.escalated).toBeUndefined();
+      expect(isolated.bq.writeBatchToBigQuery).not.toHaveBeenCalled();
+      expect(localPubSub.getPublished('projects/local-project/topics/call-audits-dlq')).toHaveLength(0);
+    });
+  });
+});
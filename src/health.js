@@ -0,0 +1,135 @@
+// src/health.js
+// Liveness, readiness and status reporting for load balancers and the on-call runbook.
+
+const { logger } = require('./logger');
+const { getTableInfo, BQ_LOAD_EVENT_TYPES } = require('./bq');
+const { getBatchState } = require('./batchProcessor');
+const { getSink, allowsWrites, SINK_TYPE } = require('./sink');
+const { bigQueryBreaker, CB_ENABLED } = require('./circuitBreaker');
+const { listAllDestinations, destinationKey, BQ_DATASET, BQ_TABLE } = require('./routing');
+const { isShuttingDown, getInFlightRequestCount, SHUTDOWN_GRACE_MS } = require('./shutdown');
+const { AUDIT_RATE } = require('./sampling');
+const { SCHEMA_DIR, SCHEMA_REGISTRY_STRICT } = require('./schemaRegistry');
+const { version } = require('../package.json');
+
+// Probes hit /readyz every few seconds; reuse a recent table lookup instead of calling the metadata API each time.
+const READINESS_CACHE_MS = parseInt(process.env.READINESS_CACHE_MS ?? '5000', 10);
+// /status is unauthenticated; cap how often it can make us fetch table metadata.
+const STATUS_CACHE_MS = parseInt(process.env.STATUS_CACHE_MS ?? '30000', 10);
+
+const startedAt = Date.now();
+let tableCheckCache = null; // { checkedAt, result }
+let statusTablesCache = null; // { checkedAt, tables }
+
+async function lookupTables() {
+  return Promise.all(listAllDestinations().map(async destination => {
+    const table = destinationKey(destination);
+    try {
+      return { table, reachable: true, info: await getTableInfo(destination) };
+    } catch (error) {
+      return { table, reachable: false, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Check that every destination table can be reached, reusing a result younger than READINESS_CACHE_MS.
+ * Only the bigquery sink has tables to check.
+ * @returns {Promise<{ok: boolean, skipped?: boolean, tables?: Array}>}
+ */
+async function checkTables() {
+  if (SINK_TYPE !== 'bigquery') {
+    return { ok: true, skipped: true };
+  }
+  if (tableCheckCache && Date.now() - tableCheckCache.checkedAt < READINESS_CACHE_MS) {
+    return tableCheckCache.result;
+  }
+  const tables = await lookupTables();
+  const result = {
+    ok: tables.every(t => t.reachable),
+    tables: tables.map(({ table, reachable, error }) => (reachable ? { table, reachable } : { table, reachable, error }))
+  };
+  tableCheckCache = { checkedAt: Date.now(), result };
+  return result;
+}
+
+/**
+ * Readiness: not shutting down, the sink accepts writes (circuit not open) and the destination tables are reachable.
+ * @returns {Promise<{ready: boolean, checks: Object}>}
+ */
+async function checkReadiness() {
+  const checks = {
+    shutdown: { ok: !isShuttingDown() },
+    circuit: { ok: allowsWrites(), state: CB_ENABLED && SINK_TYPE === 'bigquery' ? bigQueryBreaker.getState().state : null }
+  };
+  // Skip the remote lookup when the answer is already "not ready".
+  checks.tables = checks.shutdown.ok && checks.circuit.ok ? await checkTables() : { ok: false, skipped: true };
+
+  const ready = Object.values(checks).every(check => check.ok);
+  if (!ready) {
+    logger.warn('Readiness check failed', { checks });
+  }
+  return { ready, checks };
+}
+
+/**
+ * Table metadata for /status, reusing a lookup younger than STATUS_CACHE_MS.
+ * Concurrent requests share one in-flight lookup.
+ * @returns {Promise<Array>}
+ */
+function getStatusTables() {
+  if (!statusTablesCache || Date.now() - statusTablesCache.checkedAt >= STATUS_CACHE_MS) {
+    statusTablesCache = { checkedAt: Date.now(), tables: lookupTables() };
+  }
+  return statusTablesCache.tables;
+}
+
+/**
+ * Full status document: batch state, effective config, table metadata, uptime and version.
+ * @returns {Promise<Object>}
+ */
+async function getStatus() {
+  const tables = SINK_TYPE === 'bigquery' ? await getStatusTables() : [];
+  return {
+    service: 'drivehealth-etl',
+    version,
+    revision: process.env.K_REVISION || null,
+    started_at: new Date(startedAt).toISOString(),
+    uptime_sec: Math.round((Date.now() - startedAt) / 1000),
+    shutting_down: isShuttingDown(),
+    in_flight_requests: getInFlightRequestCount(),
+    sink: getSink().name,
+    circuit_breaker: CB_ENABLED ? bigQueryBreaker.getState() : null,
+    batch: getBatchState(),
+    config: {
+      SINK_TYPE,
+      BQ_DATASET,
+      BQ_TABLE,
+      BQ_LOAD_EVENT_TYPES,
+      AUDIT_RATE,
+      SCHEMA_DIR,
+      SCHEMA_REGISTRY_STRICT,
+      CB_ENABLED,
+      SHUTDOWN_GRACE_MS,
+      READINESS_CACHE_MS,
+      STATUS_CACHE_MS
+    },
+    tables
+  };
+}
+
+/**
+ * Forget the cached table check and status lookup (used by tests)
+ */
+function resetReadinessCache() {
+  tableCheckCache = null;
+  statusTablesCache = null;
+}
+
+module.exports = {
+  checkReadiness,
+  getStatus,
+  resetReadinessCache,
+  READINESS_CACHE_MS,
+  STATUS_CACHE_MS
+};
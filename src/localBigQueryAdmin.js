@@ -0,0 +1,83 @@
+// src/localBigQueryAdmin.js
+// In-memory stand-in for the BigQuery admin surface used by migrate.js (tests and offline runs)
+
+function notFound(kind, id) {
+  const error = new Error(`Not found: ${kind} ${id}`);
+  error.code = 404;
+  return error;
+}
+
+/**
+ * Create an in-memory client exposing dataset()/table() with the same array-returning
+ * methods as @google-cloud/bigquery: exists, create, getMetadata and setMetadata.
+ * @param {Object} initial - { [datasetId]: { [tableId]: tableMetadata } }
+ * @returns {Object} - A client with dataset(id) and a snapshot() helper
+ */
+function createLocalBigQueryAdmin(initial = {}) {
+  const datasets = new Map(Object.entries(initial).map(([datasetId, tables]) =>
+    [datasetId, new Map(Object.entries(tables).map(([tableId, metadata]) => [tableId, JSON.parse(JSON.stringify(metadata))]))]));
+
+  function table(datasetId, tableId) {
+    const getTables = () => datasets.get(datasetId);
+
+    return {
+      id: tableId,
+      async exists() {
+        return [Boolean(getTables()?.has(tableId))];
+      },
+      async create(options = {}) {
+        if (!getTables()) throw notFound('dataset', datasetId);
+        if (getTables().has(tableId)) {
+          const error = new Error(`Already Exists: table ${datasetId}.${tableId}`);
+          error.code = 409;
+          throw error;
+        }
+        const metadata = { tableReference: { datasetId, tableId }, ...JSON.parse(JSON.stringify(options)) };
+        getTables().set(tableId, metadata);
+        return [this, metadata];
+      },
+      async getMetadata() {
+        const metadata = getTables()?.get(tableId);
+        if (!metadata) throw notFound('table', `${datasetId}.${tableId}`);
+        return [JSON.parse(JSON.stringify(metadata))];
+      },
+      async setMetadata(update) {
+        const metadata = getTables()?.get(tableId);
+        if (!metadata) throw notFound('table', `${datasetId}.${tableId}`);
+
+        // Like BigQuery, only additive schema changes are accepted.
+        if (update.schema) {
+          const next = new Map(update.schema.fields.map(field => [field.name, field]));
+          for (const field of metadata.schema?.fields || []) {
+            const replacement = next.get(field.name);
+            if (!replacement) throw new Error(`Provided Schema does not match Table. Field ${field.name} is missing in new schema`);
+            if (replacement.type !== field.type) throw new Error(`Provided Schema does not match Table. Field ${field.name} has changed type`);
+          }
+        }
+        Object.assign(metadata, JSON.parse(JSON.stringify(update)));
+        return [JSON.parse(JSON.stringify(metadata))];
+      }
+    };
+  }
+
+  return {
+    dataset(datasetId) {
+      return {
+        id: datasetId,
+        async exists() {
+          return [datasets.has(datasetId)];
+        },
+        async create() {
+          if (!datasets.has(datasetId)) datasets.set(datasetId, new Map());
+          return [this];
+        },
+        table: tableId => table(datasetId, tableId)
+      };
+    },
+    snapshot() {
+      return Object.fromEntries([...datasets].map(([datasetId, tables]) => [datasetId, Object.fromEntries(tables)]));
+    }
+  };
+}
+
+module.exports = { createLocalBigQueryAdmin };
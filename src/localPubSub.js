@@ -0,0 +1,131 @@
+// src/localPubSub.js
+// In-memory stand-in for the @google-cloud/pubsub v1 clients (tests and offline runs)
+
+function notFound(kind, name) {
+  const error = new Error(`5 NOT_FOUND: Resource not found (resource=${name}).`);
+  error.code = 5;
+  error.details = `${kind} not found`;
+  return error;
+}
+
+/**
+ * Create an in-memory Pub/Sub with a publisher shaped like v1.PublisherClient and a subscriber
+ * shaped like v1.SubscriberClient (pull / acknowledge / modifyAckDeadline).
+ * publish({ topic, messages }) resolves to [{ messageIds }] like the real client and fans out to
+ * every subscription attached to the topic. Topics are created on first publish unless listed in
+ * `topics`, in which case publishing to any other topic fails with NOT_FOUND. Leases never expire
+ * on their own; a message goes back to its subscription when nacked with ackDeadlineSeconds 0.
+ * @param {{projectId?: string, topics?: string[], subscriptions?: Object<string, string>}} options -
+ *   subscriptions maps a fully qualified subscription name to its topic
+ * @returns {{publisher: Object, subscriber: Object, getPublished: Function, getBacklog: Function, getOutstanding: Function, clear: Function}}
+ */
+function createLocalPubSub({ projectId = 'local-project', topics = null, subscriptions = {} } = {}) {
+  const published = new Map(); // topic -> [{ messageId, data, attributes, orderingKey, publishTime }]
+  const backlogs = new Map(Object.keys(subscriptions).map(name => [name, []])); // subscription -> undelivered messages
+  const outstanding = new Map(Object.keys(subscriptions).map(name => [name, new Map()])); // subscription -> ackId -> message
+  const deliveryAttempts = new Map(); // `${subscription}/${messageId}` -> count
+  let messageSequence = 0;
+  let ackSequence = 0;
+
+  if (topics) {
+    topics.forEach(topic => published.set(topic, []));
+  }
+
+  function requireSubscription(subscription) {
+    if (!backlogs.has(subscription)) throw notFound('Subscription', subscription);
+  }
+
+  const publisher = {
+    async getProjectId() {
+      return projectId;
+    },
+    async publish({ topic, messages }) {
+      if (topics && !published.has(topic)) throw notFound('Topic', topic);
+      if (!published.has(topic)) published.set(topic, []);
+
+      const messageIds = messages.map(message => {
+        const stored = {
+          messageId: String(++messageSequence),
+          data: Buffer.from(message.data),
+          attributes: { ...(message.attributes || {}) },
+          orderingKey: message.orderingKey || '',
+          publishTime: new Date().toISOString()
+        };
+        published.get(topic).push(stored);
+        for (const [subscription, subscriptionTopic] of Object.entries(subscriptions)) {
+          if (subscriptionTopic === topic) backlogs.get(subscription).push(stored);
+        }
+        return stored.messageId;
+      });
+      return [{ messageIds }];
+    }
+  };
+
+  const subscriber = {
+    async getProjectId() {
+      return projectId;
+    },
+    async pull({ subscription, maxMessages }) {
+      requireSubscription(subscription);
+      const delivered = backlogs.get(subscription).splice(0, maxMessages);
+      const receivedMessages = delivered.map(message => {
+        const ackId = `ack-${++ackSequence}`;
+        const attemptKey = `${subscription}/${message.messageId}`;
+        deliveryAttempts.set(attemptKey, (deliveryAttempts.get(attemptKey) || 0) + 1);
+        outstanding.get(subscription).set(ackId, message);
+        return {
+          ackId,
+          message: { ...message, data: Buffer.from(message.data), attributes: { ...message.attributes } },
+          deliveryAttempt: deliveryAttempts.get(attemptKey)
+        };
+      });
+      return [{ receivedMessages }];
+    },
+    async acknowledge({ subscription, ackIds }) {
+      requireSubscription(subscription);
+      ackIds.forEach(ackId => outstanding.get(subscription).delete(ackId));
+      return [{}];
+    },
+    async modifyAckDeadline({ subscription, ackIds, ackDeadlineSeconds }) {
+      requireSubscription(subscription);
+      if (ackDeadlineSeconds === 0) {
+        // Nack: redeliver in the order the messages were originally delivered.
+        const nacked = ackIds.filter(ackId => outstanding.get(subscription).has(ackId))
+          .map(ackId => [ackId, outstanding.get(subscription).get(ackId)]);
+        nacked.forEach(([ackId]) => outstanding.get(subscription).delete(ackId));
+        backlogs.get(subscription).unshift(...nacked.map(([, message]) => message));
+      }
+      return [{}];
+    }
+  };
+
+  return {
+    publisher,
+    subscriber,
+    /**
+     * Messages published to a topic, oldest first
+     * @param {string} topic - Fully qualified topic name
+     * @returns {Array}
+     */
+    getPublished: topic => [...(published.get(topic) || [])],
+    /**
+     * Messages waiting to be pulled from a subscription
+     * @param {string} subscription - Fully qualified subscription name
+     * @returns {Array}
+     */
+    getBacklog: subscription => [...(backlogs.get(subscription) || [])],
+    /**
+     * Messages pulled from a subscription and neither acked nor nacked
+     * @param {string} subscription - Fully qualified subscription name
+     * @returns {Array}
+     */
+    getOutstanding: subscription => [...(outstanding.get(subscription)?.values() || [])],
+    clear: () => {
+      published.forEach(messages => messages.splice(0));
+      backlogs.forEach(messages => messages.splice(0));
+      outstanding.forEach(leases => leases.clear());
+    }
+  };
+}
+
+module.exports = { createLocalPubSub };
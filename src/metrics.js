@@ -0,0 +1,287 @@
+// src/metrics.js
+// In-process metrics registry rendered in the Prometheus text exposition format at /metrics.
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers sub-millisecond local writes up to BigQuery timeouts.
+const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const BATCH_SIZE_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+// Seconds between occurred_at and receipt; late events can be hours or days behind.
+const INGESTION_LAG_BUCKETS = [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600, 21600, 86400];
+
+// Label value for producer-supplied values outside a known set, so the number of series stays bounded.
+const OTHER_LABEL_VALUE = 'other';
+
+/**
+ * Keep a producer-supplied label value only if it is known
+ * @param {string} value - The raw value, e.g. an envelope's event_type
+ * @param {function(string): boolean} isKnown - Whether the value belongs to the configured set
+ * @returns {string}
+ */
+function boundedLabel(value, isKnown) {
+  return value !== undefined && value !== null && isKnown(value) ? String(value) : OTHER_LABEL_VALUE;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Builds the series key and a label object restricted to the metric's declared label names.
+ * Missing labels are rendered as empty strings so every series has the same label set.
+ */
+function normalizeLabels(labelNames, labels = {}) {
+  const normalized = {};
+  for (const name of labelNames) {
+    normalized[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  }
+  return { key: JSON.stringify(labelNames.map(name => normalized[name])), labels: normalized };
+}
+
+/**
+ * Create a metrics registry
+ * @returns {{counter: Function, gauge: Function, histogram: Function, render: Function, reset: Function}}
+ */
+function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(metric) {
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[]}} options
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels, value = 1) {
+        const { key, labels: normalized } = normalizeLabels(labelNames, labels);
+        const entry = series.get(key) || { labels: normalized, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      get(labels) {
+        return series.get(normalizeLabels(labelNames, labels).key)?.value || 0;
+      },
+      lines() {
+        return [...series.values()].map(entry => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+      },
+      reset: () => series.clear()
+    });
+  }
+
+  /**
+   * A gauge can be set directly, or read from collect() at render time.
+   * @param {{name: string, help: string, labelNames?: string[], collect?: function(): Array<{labels?: Object, value: number}>}} options
+   */
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        const { key, labels: normalized } = normalizeLabels(labelNames, labels);
+        series.set(key, { labels: normalized, value });
+      },
+      lines() {
+        const entries = collect
+          ? collect().map(({ labels, value }) => ({ labels: normalizeLabels(labelNames, labels).labels, value }))
+          : [...series.values()];
+        return entries.map(entry => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+      },
+      reset: () => series.clear()
+    });
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[], buckets?: number[]}} options
+   */
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const { key, labels: normalized } = normalizeLabels(labelNames, labels);
+        const entry = series.get(key) || { labels: normalized, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      },
+      get(labels) {
+        const entry = series.get(normalizeLabels(labelNames, labels).key);
+        return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+      },
+      lines() {
+        const lines = [];
+        for (const entry of series.values()) {
+          bounds.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+        return lines;
+      },
+      reset: () => series.clear()
+    });
+  }
+
+  /**
+   * Render every registered metric in the Prometheus text format
+   * @returns {string}
+   */
+  function render() {
+    const output = [];
+    for (const metric of metrics.values()) {
+      output.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...metric.lines());
+    }
+    return output.join('\n') + '\n';
+  }
+
+  function reset() {
+    metrics.forEach(metric => metric.reset());
+  }
+
+  return { counter, gauge, histogram, render, reset };
+}
+
+// The service-wide registry and the pipeline metrics recorded by handler.js, batchProcessor.js and bq.js.
+const registry = createMetricsRegistry();
+
+const messagesTotal = registry.counter({
+  name: 'etl_messages_total',
+  help: 'Pub/Sub push messages handled, by outcome and error type.',
+  labelNames: ['outcome', 'error_type']
+});
+
+const samplingDecisionsTotal = registry.counter({
+  name: 'etl_sampling_decisions_total',
+  help: 'Sampling decisions by tenant (tenants named in a sampling rule, else "other"), decision and reason.',
+  labelNames: ['tenant_id', 'decision', 'reason']
+});
+
+const batchSize = registry.histogram({
+  name: 'etl_batch_size_rows',
+  help: 'Rows per batch flush.',
+  buckets: BATCH_SIZE_BUCKETS
+});
+
+const flushDuration = registry.histogram({
+  name: 'etl_flush_duration_seconds',
+  help: 'Time from a batch flush starting (including waiting for a flush slot) to every row being resolved.',
+  buckets: DEFAULT_LATENCY_BUCKETS
+});
+
+const bqRowErrorsTotal = registry.counter({
+  name: 'etl_bigquery_row_errors_total',
+  help: 'Row-level errors returned by BigQuery streaming inserts, by reason.',
+  labelNames: ['reason']
+});
+
+const ingestionLag = registry.histogram({
+  name: 'etl_ingestion_lag_seconds',
+  help: 'Delay between an event\'s occurred_at and the service receiving it, by registered event type (else "other").',
+  labelNames: ['event_type'],
+  buckets: INGESTION_LAG_BUCKETS
+});
+
+const publishLatency = registry.histogram({
+  name: 'etl_publish_to_receive_seconds',
+  help: 'Delay between Pub/Sub publishing a message and the service receiving the push.',
+  buckets: INGESTION_LAG_BUCKETS
+});
+
+const escalationsTotal = registry.counter({
+  name: 'etl_escalations_total',
+  help: 'Transient failures escalated to terminal by a delivery-attempt policy, by error type.',
+  labelNames: ['error_type']
+});
+
+const pushAuthRejectionsTotal = registry.counter({
+  name: 'etl_push_auth_rejections_total',
+  help: 'Push requests rejected by OIDC token verification, by reason.',
+  labelNames: ['reason']
+});
+
+// Point-in-time batch state, read when /metrics is scraped. batchProcessor.js records into this
+// module, so it is required at collect time rather than at load.
+const batchQueueRows = registry.gauge({
+  name: 'etl_batch_queue_rows',
+  help: 'Rows queued and waiting for the next batch flush.',
+  collect: () => [{ value: require('./batchProcessor').getBatchState().currentBatchSize }]
+});
+
+const inFlightFlushes = registry.gauge({
+  name: 'etl_in_flight_flushes',
+  help: 'Batch flushes currently writing.',
+  collect: () => [{ value: require('./batchProcessor').getBatchState().inFlight.length }]
+});
+
+/**
+ * Count one handled message from its processPubSubMessage result
+ * @param {{success: boolean, sampled?: boolean, deadLettered?: boolean, isTerminal?: boolean, errorType?: string}} result
+ */
+function recordMessageOutcome(result) {
+  if (result.deadLettered) {
+    messagesTotal.inc({ outcome: 'dead_lettered', error_type: result.errorType });
+    return;
+  }
+  if (result.success) {
+    messagesTotal.inc({ outcome: result.sampled === false ? 'sampled_out' : 'written', error_type: 'none' });
+    return;
+  }
+  messagesTotal.inc({
+    outcome: result.isTerminal ? 'terminal_error' : 'transient_error',
+    error_type: result.errorType || (result.isTerminal ? 'terminal_error' : 'transient_error')
+  });
+}
+
+module.exports = {
+  createMetricsRegistry,
+  registry,
+  messagesTotal,
+  samplingDecisionsTotal,
+  batchSize,
+  flushDuration,
+  bqRowErrorsTotal,
+  ingestionLag,
+  publishLatency,
+  escalationsTotal,
+  pushAuthRejectionsTotal,
+  batchQueueRows,
+  inFlightFlushes,
+  recordMessageOutcome,
+  boundedLabel,
+  OTHER_LABEL_VALUE,
+  PROMETHEUS_CONTENT_TYPE
+};
@@ -0,0 +1,140 @@
+// src/migrate.js
+// Provision datasets and tables and apply additive schema migrations; refuses destructive drift
+
+const { BigQuery } = require('@google-cloud/bigquery');
+const { logger } = require('./logger');
+const { listAllDestinations, destinationKey } = require('./routing');
+const { getExpectedTableDefinition, normalizeType } = require('./tableSchema');
+
+const BQ_LOCATION = process.env.BQ_LOCATION || 'US';
+
+/**
+ * Compare the expected table definition with the deployed table
+ * @param {Object} expected - From getExpectedTableDefinition()
+ * @param {Object|null} actual - Deployed table metadata, or null if the table doesn't exist
+ * @returns {Object} - { action: 'create'|'alter'|'none'|'refuse', addColumns, destructive, extra }
+ */
+function planMigration(expected, actual) {
+  if (!actual) {
+    return { action: 'create', addColumns: expected.schema.fields, destructive: [], extra: [] };
+  }
+
+  const actualFields = new Map((actual.schema?.fields || []).map(field => [field.name, field]));
+  const expectedNames = new Set(expected.schema.fields.map(field => field.name));
+  const addColumns = [];
+  const destructive = [];
+
+  for (const field of expected.schema.fields) {
+    const current = actualFields.get(field.name);
+    if (!current) {
+      addColumns.push(field);
+    } else if (normalizeType(current.type) !== normalizeType(field.type)) {
+      destructive.push(`${field.name}: type ${current.type} -> ${field.type}`);
+    } else if ((current.mode || 'NULLABLE') !== field.mode) {
+      destructive.push(`${field.name}: mode ${current.mode} -> ${field.mode}`);
+    }
+  }
+
+  const actualPartitionField = actual.timePartitioning?.field || null;
+  if (actualPartitionField !== expected.timePartitioning.field) {
+    destructive.push(`partitioning: ${actualPartitionField || 'none'} -> ${expected.timePartitioning.field}`);
+  }
+
+  const actualClustering = (actual.clustering?.fields || []).join(',');
+  const expectedClustering = expected.clustering.fields.join(',');
+  if (actualClustering !== expectedClustering) {
+    destructive.push(`clustering: ${actualClustering || 'none'} -> ${expectedClustering}`);
+  }
+
+  const extra = [...actualFields.keys()].filter(name => !expectedNames.has(name));
+
+  let action = 'none';
+  if (destructive.length > 0) action = 'refuse';
+  else if (addColumns.length > 0) action = 'alter';
+
+  return { action, addColumns, destructive, extra };
+}
+
+/**
+ * Render a migration plan as a readable diff
+ * @param {string} key - dataset.table
+ * @param {Object} plan - From planMigration()
+ * @returns {string}
+ */
+function formatPlan(key, plan) {
+  const lines = [`${key}: ${plan.action}`];
+  if (plan.action !== 'create') {
+    plan.addColumns.forEach(field => lines.push(`  + ${field.name} ${field.type} ${field.mode}`));
+  }
+  plan.destructive.forEach(change => lines.push(`  ! ${change} (refused)`));
+  plan.extra.forEach(name => lines.push(`  ? ${name} (not declared in code, left in place)`));
+  return lines.join('\n');
+}
+
+/**
+ * Bring every destination table in line with the schema declared in code
+ * @param {Object} options - { client, destinations, dryRun, print }
+ * @returns {Promise<Array>} - [{ destination, plan }] for every destination
+ * @throws {Error} - If any table has destructive drift (after printing every diff)
+ */
+async function migrate({ client, destinations = listAllDestinations(), dryRun = false, print = console.log } = {}) {
+  const expected = getExpectedTableDefinition();
+  const results = [];
+  const refused = [];
+
+  for (const destination of destinations) {
+    const key = destinationKey(destination);
+    const dataset = client.dataset(destination.dataset);
+    const table = dataset.table(destination.table);
+
+    const [datasetExists] = await dataset.exists();
+    if (!datasetExists && !dryRun) {
+      await dataset.create({ location: BQ_LOCATION });
+      logger.info('Dataset created', { dataset: destination.dataset, location: BQ_LOCATION });
+    }
+
+    const [tableExists] = datasetExists ? await table.exists() : [false];
+    const actual = tableExists ? (await table.getMetadata())[0] : null;
+    const plan = planMigration(expected, actual);
+    print(formatPlan(key, plan));
+    results.push({ destination, plan });
+
+    if (plan.action === 'refuse') {
+      refused.push(key);
+      continue;
+    }
+    if (dryRun) continue;
+
+    if (plan.action === 'create') {
+      await table.create(expected);
+      logger.info('Table created', { destination: key });
+    } else if (plan.action === 'alter') {
+      await table.setMetadata({ schema: { fields: [...actual.schema.fields, ...plan.addColumns] } });
+      logger.info('Table columns added', { destination: key, columns: plan.addColumns.map(field => field.name) });
+    }
+  }
+
+  if (refused.length > 0) {
+    throw new Error(`Refusing destructive schema drift on ${refused.join(', ')}; see the diff above`);
+  }
+  return results;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await migrate({ client: new BigQuery(), dryRun });
+  console.log(dryRun ? 'Dry run complete. No changes applied.' : 'Migration complete.');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  planMigration,
+  formatPlan,
+  migrate
+};
@@ -0,0 +1,71 @@
+// src/migrate.test.js
+
+const { migrate, planMigration } = require('./migrate');
+const { getExpectedTableDefinition } = require('./tableSchema');
+const { createLocalBigQueryAdmin } = require('./localBigQueryAdmin');
+
+const destinations = [{ dataset: 'drivehealth_dw', table: 'events' }];
+const print = jest.fn();
+
+describe('migrate', () => {
+  beforeEach(() => {
+    print.mockClear();
+  });
+
+  test('should create a missing dataset and table with partitioning and clustering', async () => {
+    const client = createLocalBigQueryAdmin();
+    const [{ plan }] = await migrate({ client, destinations, print });
+
+    expect(plan.action).toBe('create');
+    const table = client.snapshot().drivehealth_dw.events;
+    expect(table.timePartitioning.field).toBe('occurred_at');
+    expect(table.clustering.fields).toEqual(['tenant_id', 'event_type']);
+    expect(table.schema.fields.map(field => field.name)).toContain('caller_e164');
+  });
+
+  test('should add new nullable columns to an existing table', async () => {
+    const expected = getExpectedTableDefinition();
+    const legacy = { ...expected, schema: { fields: expected.schema.fields.filter(field => field.name !== 'call_status') } };
+    const client = createLocalBigQueryAdmin({ drivehealth_dw: { events: legacy } });
+
+    const [{ plan }] = await migrate({ client, destinations, print });
+
+    expect(plan.action).toBe('alter');
+    expect(plan.addColumns.map(field => field.name)).toEqual(['call_status']);
+    expect(client.snapshot().drivehealth_dw.events.schema.fields.map(field => field.name)).toContain('call_status');
+  });
+
+  test('should refuse destructive drift and print the diff', async () => {
+    const expected = getExpectedTableDefinition();
+    const drifted = {
+      ...expected,
+      schema: { fields: expected.schema.fields.map(field => (field.name === 'duration_sec' ? { ...field, type: 'STRING' } : field)) },
+    };
+    const client = createLocalBigQueryAdmin({ drivehealth_dw: { events: drifted } });
+
+    await expect(migrate({ client, destinations, print })).rejects.toThrow('Refusing destructive schema drift');
+    expect(print.mock.calls[0][0]).toContain('! duration_sec: type STRING -> INT64 (refused)');
+  });
+
+  test('should change nothing in dry-run mode', async () => {
+    const client = createLocalBigQueryAdmin();
+    await migrate({ client, destinations, dryRun: true, print });
+    expect(client.snapshot()).toEqual({});
+  });
+});
+
+describe('planMigration', () => {
+  test('should accept legacy type names and report undeclared columns', () => {
+    const expected = getExpectedTableDefinition();
+    const actual = {
+      ...expected,
+      schema: {
+        fields: [
+          ...expected.schema.fields.map(field => ({ ...field, type: field.type === 'INT64' ? 'INTEGER' : field.type })),
+          { name: 'legacy_notes', type: 'STRING', mode: 'NULLABLE' },
+        ],
+      },
+    };
+    expect(planMigration(expected, actual)).toMatchObject({ action: 'none', destructive: [], extra: ['legacy_notes'] });
+  });
+});
@@ -0,0 +1,171 @@
+// src/projection.js
+// Typed column projection: copy selected payload fields into first-class BigQuery columns
+
+const fs = require('fs');
+const { logger } = require('./logger');
+const { getFieldValue } = require('./fieldPath');
+
+const PROJECTIONS_FILE = process.env.PROJECTIONS_FILE || null;
+
+const CALL_PROJECTIONS = [
+  { column: 'caller_e164', path: 'caller', type: 'STRING' },
+  { column: 'duration_sec', path: 'duration', type: 'INT64' },
+  { column: 'call_status', path: 'status', type: 'STRING' }
+];
+
+// event_type -> [{ column, path, type }]; path is relative to the payload.
+const DEFAULT_PROJECTIONS = {
+  'call.metadata': CALL_PROJECTIONS,
+  'call.summary': CALL_PROJECTIONS
+};
+
+// BigQuery reports legacy type names in table metadata; both spellings are accepted.
+const TYPE_ALIASES = {
+  STRING: ['STRING'],
+  INT64: ['INT64', 'INTEGER'],
+  FLOAT64: ['FLOAT64', 'FLOAT'],
+  BOOL: ['BOOL', 'BOOLEAN'],
+  TIMESTAMP: ['TIMESTAMP']
+};
+
+const COERCERS = {
+  STRING: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+  INT64: value => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.trunc(number) : null;
+  },
+  FLOAT64: value => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  },
+  BOOL: value => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 1) return true;
+    if (value === 'false' || value === 0) return false;
+    return null;
+  },
+  TIMESTAMP: value => {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
+  }
+};
+
+let projections = DEFAULT_PROJECTIONS;
+
+/**
+ * Replace the active projection mappings
+ * @param {Object} mappings - event_type -> [{ column, path, type }]
+ */
+function setProjections(mappings) {
+  for (const [eventType, columns] of Object.entries(mappings)) {
+    for (const mapping of columns) {
+      if (!mapping.column || !mapping.path || !COERCERS[mapping.type]) {
+        throw new Error(`Projection for ${eventType} needs column, path and one of: ${Object.keys(COERCERS).join(', ')}`);
+      }
+    }
+  }
+  projections = mappings;
+}
+
+/**
+ * Load projection mappings from a JSON file, falling back to the built-in defaults
+ * @param {string} filePath - Path to a JSON file of event_type -> mappings
+ */
+function loadProjections(filePath = PROJECTIONS_FILE) {
+  if (!filePath) {
+    projections = DEFAULT_PROJECTIONS;
+    return;
+  }
+  setProjections(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  logger.info('Column projections loaded', { file: filePath, event_types: Object.keys(projections) });
+}
+
+/**
+ * Get the projection mappings for every event type
+ * @returns {Object} - event_type -> [{ column, path, type }]
+ */
+function getProjections() {
+  return projections;
+}
+
+/**
+ * Project payload fields into typed columns for an event type
+ * @param {string} eventType - The event type
+ * @param {Object} payload - The processed payload
+ * @returns {Object} - column -> coerced value (null when missing or not coercible)
+ */
+function projectColumns(eventType, payload) {
+  const columns = {};
+  for (const { column, path, type } of projections[eventType] || []) {
+    const value = getFieldValue(payload, path);
+    columns[column] = value === undefined || value === null ? null : COERCERS[type](value);
+  }
+  return columns;
+}
+
+/**
+ * Compare the projected columns against a table's schema
+ * @param {Object[]} schemaFields - Table schema fields ({ name, type })
+ * @param {string[]} eventTypes - Event types whose projections land in this table
+ * @returns {string[]} - Human-readable mismatches; empty when the table matches
+ */
+function diffProjectionSchema(schemaFields, eventTypes) {
+  const fieldsByName = new Map(schemaFields.map(field => [field.name, field]));
+  const mismatches = [];
+
+  for (const eventType of eventTypes) {
+    for (const { column, type } of projections[eventType] || []) {
+      const field = fieldsByName.get(column);
+      if (!field) {
+        mismatches.push(`${eventType}: column ${column} (${type}) is missing from the table`);
+      } else if (!TYPE_ALIASES[type].includes(field.type)) {
+        mismatches.push(`${eventType}: column ${column} is ${field.type} in the table but projected as ${type}`);
+      }
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Check every projection against the schema of each table it can be written to.
+ * @param {Function} fetchTableInfo - (destination) => Promise<{ schema: { fields } }>, e.g. getTableInfo
+ * @param {Function} listDestinations - (eventType) => destinations an event type can be routed to
+ * @throws {Error} - If any table is missing a projected column or has an incompatible type
+ */
+async function verifyProjectionSchema(fetchTableInfo, listDestinations) {
+  const eventTypesByDestination = new Map();
+  for (const eventType of Object.keys(projections)) {
+    for (const destination of listDestinations(eventType)) {
+      const key = `${destination.dataset}.${destination.table}`;
+      if (!eventTypesByDestination.has(key)) {
+        eventTypesByDestination.set(key, { destination, eventTypes: [] });
+      }
+      eventTypesByDestination.get(key).eventTypes.push(eventType);
+    }
+  }
+
+  const mismatches = [];
+  for (const [key, { destination, eventTypes }] of eventTypesByDestination) {
+    const tableInfo = await fetchTableInfo(destination);
+    mismatches.push(...diffProjectionSchema(tableInfo.schema?.fields || [], eventTypes).map(m => `${key} ${m}`));
+  }
+
+  if (mismatches.length > 0) {
+    logger.error('Projection schema mismatch', { mismatches });
+    throw new Error(`Projection schema mismatch: ${mismatches.join('; ')}`);
+  }
+  logger.info('Projection schema verified', { tables: [...eventTypesByDestination.keys()] });
+}
+
+// Load the mappings once at startup.
+loadProjections();
+
+module.exports = {
+  setProjections,
+  loadProjections,
+  getProjections,
+  projectColumns,
+  diffProjectionSchema,
+  verifyProjectionSchema,
+  DEFAULT_PROJECTIONS
+};
@@ -0,0 +1,226 @@
+// src/pushAuth.js
+// Optional verification of the OIDC bearer token Pub/Sub attaches to authenticated push requests.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+const { pushAuthRejectionsTotal } = require('./metrics');
+
+const PUSH_AUTH_ENABLED = process.env.PUSH_AUTH_ENABLED === 'true';
+// The subscription's push audience (by default the push endpoint URL). Required when PUSH_AUTH_ENABLED.
+const PUSH_AUTH_AUDIENCE = process.env.PUSH_AUTH_AUDIENCE || null;
+const PUSH_AUTH_SERVICE_ACCOUNT = process.env.PUSH_AUTH_SERVICE_ACCOUNT || null;
+// A local JWKS file wins over the URI (used by tests and offline runs).
+const PUSH_AUTH_JWKS_FILE = process.env.PUSH_AUTH_JWKS_FILE || null;
+const PUSH_AUTH_JWKS_URI = process.env.PUSH_AUTH_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs';
+const PUSH_AUTH_ISSUERS = (process.env.PUSH_AUTH_ISSUERS || 'https://accounts.google.com,accounts.google.com')
+  .split(',').map(i => i.trim()).filter(Boolean);
+const PUSH_AUTH_CLOCK_SKEW_SEC = parseInt(process.env.PUSH_AUTH_CLOCK_SKEW_SEC ?? '60', 10);
+const JWKS_CACHE_MS = parseInt(process.env.PUSH_AUTH_JWKS_CACHE_MS) || 60 * 60 * 1000;
+// Forced refreshes (unknown kid) happen at most this often, so tokens with made-up kids can't hammer the JWKS endpoint.
+const JWKS_MIN_REFRESH_MS = parseInt(process.env.PUSH_AUTH_JWKS_MIN_REFRESH_MS) || 30 * 1000;
+
+// JWT alg -> node crypto digest; Google signs push tokens with RS256.
+const SUPPORTED_ALGORITHMS = { RS256: 'sha256', RS384: 'sha384', RS512: 'sha512' };
+
+/**
+ * Error thrown when a push token is rejected
+ * @param {string} reason - Short machine-readable reason (e.g. 'expired', 'audience_mismatch')
+ * @param {string} message
+ * @returns {Error}
+ */
+function createPushAuthError(reason, message) {
+  const error = new Error(message);
+  error.name = 'PushAuthError';
+  error.reason = reason;
+  return error;
+}
+
+function decodeSegment(segment, what) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw createPushAuthError('malformed_token', `Token ${what} is not valid base64url JSON`);
+  }
+  // `null`, numbers, strings and arrays are valid JSON but not a JOSE header or claims set.
+  if (decoded === null || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw createPushAuthError('malformed_token', `Token ${what} is not a JSON object`);
+  }
+  return decoded;
+}
+
+/**
+ * Load keys from a JWKS file or URI, caching them for JWKS_CACHE_MS.
+ * Concurrent callers share one load, and a forced refresh within minRefreshMs of the last load returns the cached keys.
+ * @param {{jwksFile?: string, jwksUri?: string, minRefreshMs?: number, now?: function(): number}} options
+ * @returns {function(boolean=): Promise<Map<string, crypto.KeyObject>>} - Pass true to force a refresh.
+ */
+function createKeyStore({
+  jwksFile = PUSH_AUTH_JWKS_FILE,
+  jwksUri = PUSH_AUTH_JWKS_URI,
+  minRefreshMs = JWKS_MIN_REFRESH_MS,
+  now = Date.now
+} = {}) {
+  let cached = null; // { loadedAt, keys }
+  let inFlight = null;
+  let lastLoadStartedAt = -Infinity;
+
+  async function readJwks() {
+    if (jwksFile) {
+      return JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    }
+    const response = await fetch(jwksUri);
+    if (!response.ok) {
+      throw new Error(`JWKS request to ${jwksUri} failed with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async function loadKeys() {
+    const jwks = await readJwks();
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (jwk.kty === 'RSA' && jwk.kid) {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+    cached = { loadedAt: now(), keys };
+    return keys;
+  }
+
+  return async function getKeys(forceRefresh = false) {
+    if (inFlight) return inFlight;
+    if (cached) {
+      const reusable = forceRefresh
+        ? now() - lastLoadStartedAt < minRefreshMs
+        : now() - cached.loadedAt < JWKS_CACHE_MS;
+      if (reusable) return cached.keys;
+    }
+    lastLoadStartedAt = now();
+    inFlight = loadKeys().finally(() => { inFlight = null; });
+    return inFlight;
+  };
+}
+
+/**
+ * Create a verifier for Pub/Sub push tokens
+ * @param {Object} options - { audience, serviceAccount, issuers, clockSkewSec, getKeys, now }
+ * @returns {function(string): Promise<Object>} - Resolves to the token claims, or throws a PushAuthError
+ */
+function createTokenVerifier({
+  audience = PUSH_AUTH_AUDIENCE,
+  serviceAccount = PUSH_AUTH_SERVICE_ACCOUNT,
+  issuers = PUSH_AUTH_ISSUERS,
+  clockSkewSec = PUSH_AUTH_CLOCK_SKEW_SEC,
+  getKeys = createKeyStore(),
+  now = Date.now
+} = {}) {
+  if (!audience) {
+    throw new Error('Push token verification requires an audience (PUSH_AUTH_AUDIENCE)');
+  }
+  return async function verifyToken(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw createPushAuthError('malformed_token', 'Token is not a three-part JWT');
+    }
+    const [encodedHeader, encodedClaims, encodedSignature] = segments;
+    const header = decodeSegment(encodedHeader, 'header');
+    const claims = decodeSegment(encodedClaims, 'claims');
+
+    const digest = SUPPORTED_ALGORITHMS[header.alg];
+    if (!digest) {
+      throw createPushAuthError('unsupported_algorithm', `Token algorithm "${header.alg}" is not allowed`);
+    }
+
+    let keys = await getKeys();
+    if (!keys.has(header.kid)) {
+      // Google rotates its signing keys; a new kid means our cached set may be stale (refreshes are rate-limited).
+      keys = await getKeys(true);
+    }
+    const key = keys.get(header.kid);
+    if (!key) {
+      throw createPushAuthError('unknown_key', `No JWKS key matches kid "${header.kid}"`);
+    }
+    const signatureValid = crypto.verify(
+      digest,
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      key,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!signatureValid) {
+      throw createPushAuthError('invalid_signature', 'Token signature does not verify');
+    }
+
+    const nowSec = Math.floor(now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + clockSkewSec < nowSec) {
+      throw createPushAuthError('expired', 'Token has expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - clockSkewSec > nowSec) {
+      throw createPushAuthError('not_yet_valid', 'Token was issued in the future');
+    }
+    if (!issuers.includes(claims.iss)) {
+      throw createPushAuthError('issuer_mismatch', `Unexpected issuer "${claims.iss}"`);
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw createPushAuthError('audience_mismatch', `Unexpected audience "${claims.aud}"`);
+    }
+    if (serviceAccount && (claims.email !== serviceAccount || claims.email_verified !== true)) {
+      throw createPushAuthError('service_account_mismatch', `Unexpected token email "${claims.email}"`);
+    }
+    return claims;
+  };
+}
+
+/**
+ * Express middleware that rejects push requests without a valid bearer token (401)
+ * @param {Object} options - Passed to createTokenVerifier; or { verifyToken } to supply a verifier directly.
+ * @returns {Function}
+ */
+function createPushAuthMiddleware(options = {}) {
+  const verifyToken = options.verifyToken || createTokenVerifier(options);
+
+  return async function verifyPushToken(req, res, next) {
+    const authorization = req.get('authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    try {
+      if (scheme !== 'Bearer' || !token) {
+        throw createPushAuthError('missing_token', 'Missing bearer token');
+      }
+      const claims = await verifyToken(token);
+      req.pushAuth = { email: claims.email, subject: claims.sub };
+      return next();
+    } catch (error) {
+      if (error.name !== 'PushAuthError') {
+        // JWKS unreachable or similar: not the caller's fault, so let Pub/Sub retry.
+        logger.error('Push authentication unavailable', { error: error.message });
+        return res.status(503).send('Service Unavailable: cannot verify push token');
+      }
+      pushAuthRejectionsTotal.inc({ reason: error.reason });
+      logger.warn('Push authentication rejected', {
+        auth_rejection_reason: error.reason,
+        error: error.message,
+        remote_ip: req.ip,
+        user_agent: req.get('user-agent')
+      });
+      return res.status(401).send('Unauthorized');
+    }
+  };
+}
+
+/**
+ * Middleware for /pubsub: verifies tokens when PUSH_AUTH_ENABLED, otherwise passes through.
+ */
+const pushAuthMiddleware = PUSH_AUTH_ENABLED
+  ? createPushAuthMiddleware()
+  : (req, res, next) => next();
+
+module.exports = {
+  createKeyStore,
+  createTokenVerifier,
+  createPushAuthMiddleware,
+  createPushAuthError,
+  pushAuthMiddleware,
+  PUSH_AUTH_ENABLED
+};
@@ -0,0 +1,135 @@
+// src/pushAuth.test.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createKeyStore, createPushAuthMiddleware } = require('./pushAuth');
+
+const AUDIENCE = 'https://etl.example.run.app/pubsub';
+const PUSH_SA = 'pubsub-push@demo-project.iam.gserviceaccount.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (claimOverrides = {}, { kid = 'test-key', key = privateKey } = {}) => {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'RS256', typ: 'JWT', kid });
+  const claims = encode({
+    iss: 'https://accounts.google.com',
+    aud: AUDIENCE,
+    email: PUSH_SA,
+    email_verified: true,
+    sub: '1234567890',
+    iat: nowSec,
+    exp: nowSec + 3600,
+    ...claimOverrides,
+  });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), key).toString('base64url');
+  return `${header}.${claims}.${signature}`;
+};
+
+describe('push token verification middleware', () => {
+  let jwksFile;
+  let app;
+
+  beforeAll(() => {
+    jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'push-auth-')), 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256' }] }));
+
+    app = express();
+    app.post('/pubsub', createPushAuthMiddleware({
+      audience: AUDIENCE,
+      serviceAccount: PUSH_SA,
+      getKeys: createKeyStore({ jwksFile }),
+    }), (req, res) => res.status(204).send());
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(jwksFile), { recursive: true, force: true });
+  });
+
+  const push = token => {
+    const pending = request(app).post('/pubsub');
+    return token ? pending.set('Authorization', `Bearer ${token}`) : pending;
+  };
+
+  test('should accept a token signed by a JWKS key with the expected claims', async () => {
+    const response = await push(signToken());
+    expect(response.status).toBe(204);
+  });
+
+  test('should reject a request without a bearer token', async () => {
+    const response = await push(null);
+    expect(response.status).toBe(401);
+  });
+
+  test.each([
+    ['an expired token', signToken({ exp: Math.floor(Date.now() / 1000) - 3600 })],
+    ['the wrong audience', signToken({ aud: 'https://someone-else.run.app/pubsub' })],
+    ['the wrong issuer', signToken({ iss: 'https://evil.example.com' })],
+    ['the wrong service account', signToken({ email: 'intruder@demo-project.iam.gserviceaccount.com' })],
+    ['an unverified email', signToken({ email_verified: false })],
+    ['a signature from another key', signToken({}, { key: otherPrivateKey })],
+    ['an unknown key id', signToken({}, { kid: 'rotated-away' })],
+    ['a malformed token', 'not-a-jwt'],
+    ['a token whose segments decode to null', 'bnVsbA.bnVsbA.x'],
+    ['a token whose segments decode to arrays', 'W10.W10.x'],
+  ])('should reject %s with 401', async (_, token) => {
+    const response = await push(token);
+    expect(response.status).toBe(401);
+  });
+
+  test('should return 503 when the JWKS cannot be loaded', async () => {
+    const brokenApp = express();
+    brokenApp.post('/pubsub', createPushAuthMiddleware({
+      audience: AUDIENCE,
+      getKeys: createKeyStore({ jwksFile: path.join(os.tmpdir(), 'missing-jwks.json') }),
+    }), (req, res) => res.status(204).send());
+
+    const response = await request(brokenApp).post('/pubsub').set('Authorization', `Bearer ${signToken()}`);
+    expect(response.status).toBe(503);
+  });
+});
+
+describe('createKeyStore', () => {
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256' }] };
+  const originalFetch = global.fetch;
+  let clock;
+  let app;
+
+  beforeEach(() => {
+    clock = 0;
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => jwks }));
+    app = express();
+    app.post('/pubsub', createPushAuthMiddleware({
+      audience: AUDIENCE,
+      getKeys: createKeyStore({ jwksUri: 'https://jwks.example.com/certs', minRefreshMs: 30000, now: () => clock }),
+    }), (req, res) => res.status(204).send());
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const push = token => request(app).post('/pubsub').set('Authorization', `Bearer ${token}`);
+
+  test('should make one forced refresh for a burst of unknown key ids', async () => {
+    expect((await push(signToken())).status).toBe(204);
+    clock = 60000;
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => push(signToken({}, { kid: `made-up-${i}` })))
+    );
+    clock = 70000;
+    const later = await push(signToken({}, { kid: 'made-up-later' }));
+
+    expect(responses.map(response => response.status)).toEqual(Array(10).fill(401));
+    expect(later.status).toBe(401);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
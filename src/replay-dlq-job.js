@@ -1,31 +1,312 @@
-// src/index.js
+// src/replay-dlq-job.js
 // Robust DLQ replay job with proper error handling and message reconstruction
 
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const {
+  createDataDigest,
+  fromArchiveLine,
+  hashFile,
+  manifestPathFor,
+  messageDataBuffer,
+  publishTimeToIso,
+  toArchiveLine,
+  verifyArchive,
+  writeManifest
+} = require('./dlqArchive');
+const { loadPatchFile, loadTransformModule } = require('./replayPatch');
+const { createTokenBucket } = require('./tokenBucket');
 const { v1 } = require('@google-cloud/pubsub');
-const subscriberClient = new v1.SubscriberClient();
-const publisherClient = new v1.PublisherClient();
+let subscriberClient = new v1.SubscriberClient();
+let publisherClient = new v1.PublisherClient();
 
 // --- Configuration ---
 const DLQ_SUBSCRIPTION_NAME = process.env.DLQ_SUBSCRIPTION || 'call-audits-dlq-sub';
 const MAIN_TOPIC_ID = process.env.MAIN_TOPIC || 'phone-call-metadata';
 const PARKING_LOT_TOPIC_ID = process.env.PARKING_LOT_TOPIC || 'phone-call-metadata-parking-lot';
 const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 10;
-const REPLAY_DELAY_MS = parseInt(process.env.REPLAY_DELAY_MS) || 200;
+// Publishes in flight at once, and the overall publish rate in messages per second (0 = unlimited).
+const REPLAY_CONCURRENCY = parseInt(process.env.REPLAY_CONCURRENCY) || 4;
+const REPLAY_RATE_LIMIT = process.env.REPLAY_RATE_LIMIT !== undefined ? Number(process.env.REPLAY_RATE_LIMIT) : 50;
 const MAX_REPLAY_ATTEMPTS = parseInt(process.env.MAX_REPLAY_ATTEMPTS) || 3;
 const MAX_PULLS = parseInt(process.env.MAX_PULLS) || 100; // Safety cap to prevent infinite loops
+// Messages the job holds but won't ack (skipped, failed, dry run) keep their lease this long, then are nacked at the end.
+const HOLD_ACK_DEADLINE_SEC = parseInt(process.env.HOLD_ACK_DEADLINE_SEC) || 600;
+// While a pull is being published, its unsettled messages are re-leased for REPLAY_ACK_EXTENSION_SEC every
+// REPLAY_LEASE_RENEW_MS, which stays under the 10 s minimum subscription ack deadline.
+const REPLAY_ACK_EXTENSION_SEC = parseInt(process.env.REPLAY_ACK_EXTENSION_SEC) || 60;
+const REPLAY_LEASE_RENEW_MS = parseInt(process.env.REPLAY_LEASE_RENEW_MS) || 5000;
+// Pub/Sub accepts at most this many ack IDs per acknowledge / modifyAckDeadline request.
+const ACK_CHUNK_SIZE = 1000;
+const TIME_FIELDS = ['occurred_at', 'failed_at'];
+
+const FILTER_FLAGS = ['tenant', 'event-type', 'since', 'until', 'time-field', 'error-reason'];
+// Flags each subcommand accepts (besides --help)
+const COMMAND_FLAGS = {
+  replay: [...FILTER_FLAGS, 'patch', 'transform', 'concurrency', 'rate', 'dry-run'],
+  export: [...FILTER_FLAGS, 'out', 'keep'],
+  import: ['in', 'topic', 'concurrency', 'rate']
+};
+
+const USAGE = `Usage: node src/replay-dlq-job.js [replay] [options]
+       node src/replay-dlq-job.js export --out <file.ndjson> [--keep] [filters]
+       node src/replay-dlq-job.js import --in <file.ndjson> --topic <topic> [--concurrency <n>] [--rate <n>]
+
+Commands:
+  replay                 Republish DLQ messages to the main topic, or park them (default)
+  export                 Write DLQ messages (data and attributes) to an NDJSON archive with a checksum manifest
+  import                 Republish an archive to a topic, checking it against its manifest first
+
+Filters (a message must match all given filters to be replayed; others are returned to the DLQ untouched):
+  --tenant <id>          Only messages whose envelope tenant_id matches
+  --event-type <type>    Only messages whose envelope event_type matches
+  --since <iso-time>     Only messages at or after this time
+  --until <iso-time>     Only messages before this time
+  --time-field <field>   Time compared by --since/--until: occurred_at (envelope, default)
+                         or failed_at (x-failed-at attribute, else the DLQ publish time)
+  --error-reason <type>  Only messages whose x-error-type attribute matches ('unknown' when missing)
+
+Patching (applied to the decoded envelope of republished messages; parked messages are left as they are):
+  --patch <file>         Declarative JSON patch: set, rename and default operations (see config/replay-patch.example.json)
+  --transform <module>   CommonJS module exporting (envelope, { attributes, messageId }) => envelope
+
+Throughput (messages sharing an ordering key are always published one at a time, in order):
+  --concurrency <n>      Publishes in flight at once (default REPLAY_CONCURRENCY, ${REPLAY_CONCURRENCY})
+  --rate <n>             Maximum messages published per second, 0 for no limit (default REPLAY_RATE_LIMIT, ${REPLAY_RATE_LIMIT})
+
+  --dry-run              Print the per-message plan (republish, park, skip) without publishing or acking
+
+Archives:
+  --out <file>           export: archive to write (must not exist); the manifest is written to <file>.manifest.json
+  --keep                 export: leave exported messages in the DLQ instead of acking them once the archive is written
+  --in <file>            import: archive to read
+  --topic <topic>        import: topic ID in this project, or projects/<project>/topics/<topic>
+
+  -h, --help             Show this help`;
+
+/**
+ * Parse replay job CLI arguments: an optional subcommand followed by flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: 'replay'|'export'|'import', filters: Object, patchFile: string|null, transformModule: string|null,
+ *   concurrency: number, ratePerSec: number, outFile: string|null, keep: boolean, inFile: string|null,
+ *   topic: string|null, dryRun: boolean, help: boolean}}
+ */
+function parseReplayArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      tenant: { type: 'string' },
+      'event-type': { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      'time-field': { type: 'string' },
+      'error-reason': { type: 'string' },
+      patch: { type: 'string' },
+      transform: { type: 'string' },
+      concurrency: { type: 'string' },
+      rate: { type: 'string' },
+      out: { type: 'string' },
+      keep: { type: 'boolean' },
+      in: { type: 'string' },
+      topic: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: true,
+    strict: true
+  });
+
+  if (positionals.length > 1) {
+    throw new Error(`Expected at most one command, got: ${positionals.join(' ')}`);
+  }
+  const command = positionals[0] || 'replay';
+  if (!COMMAND_FLAGS[command]) {
+    throw new Error(`Unknown command "${command}". Expected one of: ${Object.keys(COMMAND_FLAGS).join(', ')}`);
+  }
+  const unsupported = Object.keys(values).filter(flag => flag !== 'help' && !COMMAND_FLAGS[command].includes(flag));
+  if (unsupported.length > 0) {
+    throw new Error(`${command} does not accept ${unsupported.map(flag => `--${flag}`).join(', ')}`);
+  }
+  if (command === 'export' && !values.out) {
+    throw new Error('export requires --out <file>');
+  }
+  if (command === 'import' && !(values.in && values.topic)) {
+    throw new Error('import requires --in <file> and --topic <topic>');
+  }
+  const timeField = values['time-field'] ?? 'occurred_at';
+
+  const parseTime = (flag, value) => {
+    if (value === undefined) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`--${flag} must be an ISO-8601 timestamp, got "${value}"`);
+    return time;
+  };
+  if (!TIME_FIELDS.includes(timeField)) {
+    throw new Error(`--time-field must be one of: ${TIME_FIELDS.join(', ')}`);
+  }
+  const concurrency = values.concurrency !== undefined ? Number(values.concurrency) : REPLAY_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got "${values.concurrency ?? concurrency}"`);
+  }
+  const ratePerSec = values.rate !== undefined ? Number(values.rate) : REPLAY_RATE_LIMIT;
+  if (!Number.isFinite(ratePerSec) || ratePerSec < 0) {
+    throw new Error(`--rate must be a number of messages per second (0 for no limit), got "${values.rate ?? ratePerSec}"`);
+  }
+  if (values.patch && values.transform) {
+    throw new Error('--patch and --transform cannot be used together');
+  }
+
+  return {
+    command,
+    filters: {
+      tenantId: values.tenant ?? null,
+      eventType: values['event-type'] ?? null,
+      since: parseTime('since', values.since),
+      until: parseTime('until', values.until),
+      timeField,
+      errorReason: values['error-reason'] ?? null
+    },
+    patchFile: values.patch ?? null,
+    transformModule: values.transform ?? null,
+    concurrency,
+    ratePerSec,
+    outFile: values.out ?? null,
+    keep: values.keep ?? false,
+    inFile: values.in ?? null,
+    topic: values.topic ?? null,
+    dryRun: values['dry-run'] ?? false,
+    help: values.help ?? false
+  };
+}
+
+/**
+ * Load the patch selected by --patch or --transform
+ * @returns {{id: string, apply: Function}|null}
+ */
+function loadReplayPatch({ patchFile, transformModule }) {
+  if (patchFile) return loadPatchFile(patchFile);
+  if (transformModule) return loadTransformModule(transformModule);
+  return null;
+}
+
+/**
+ * Decode the envelope a DLQ message carries
+ * @returns {Object|null} - The envelope, or null when the data is not a JSON object
+ */
+function decodeEnvelope(message) {
+  try {
+    const envelope = JSON.parse(messageDataBuffer(message.data).toString('utf8'));
+    return envelope && typeof envelope === 'object' ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a DLQ message against the replay filters
+ * @returns {{matches: boolean, reason?: string}} - reason names the first filter that failed
+ */
+function matchesFilters(receivedMessage, filters, envelope = decodeEnvelope(receivedMessage.message)) {
+  const { message } = receivedMessage;
+  if (filters.tenantId && envelope?.tenant_id !== filters.tenantId) {
+    return { matches: false, reason: `tenant_id ${envelope?.tenant_id ?? '(none)'} != ${filters.tenantId}` };
+  }
+  if (filters.eventType && envelope?.event_type !== filters.eventType) {
+    return { matches: false, reason: `event_type ${envelope?.event_type ?? '(none)'} != ${filters.eventType}` };
+  }
+  if (filters.errorReason) {
+    const errorType = message.attributes?.['x-error-type'] || 'unknown';
+    if (errorType !== filters.errorReason) {
+      return { matches: false, reason: `x-error-type ${errorType} != ${filters.errorReason}` };
+    }
+  }
+  if (filters.since !== null || filters.until !== null) {
+    const time = filters.timeField === 'failed_at'
+      ? Date.parse(publishTimeToIso(message.attributes?.['x-failed-at'] || message.publishTime))
+      : Date.parse(envelope?.occurred_at);
+    if (Number.isNaN(time)) {
+      return { matches: false, reason: `no ${filters.timeField} to compare` };
+    }
+    if (filters.since !== null && time < filters.since) {
+      return { matches: false, reason: `${filters.timeField} before --since` };
+    }
+    if (filters.until !== null && time >= filters.until) {
+      return { matches: false, reason: `${filters.timeField} not before --until` };
+    }
+  }
+  return { matches: true };
+}
+
+/**
+ * Decide what the job does with one DLQ message. With a patch, a message to republish also gets
+ * the patched envelope; a patch that throws turns the message into a skip so it stays in the DLQ.
+ * @param {Object} receivedMessage - A pulled message ({ ackId, message })
+ * @param {Object} filters - From parseReplayArgs
+ * @param {{id: string, apply: Function}|null} patch - From loadReplayPatch
+ * @returns {{action: 'republish'|'park'|'skip', reason: string, envelope: Object|null,
+ *   patched: {id: string, envelope: Object, changes: string[]}|null}}
+ */
+function planMessage(receivedMessage, filters, patch = null) {
+  const envelope = decodeEnvelope(receivedMessage.message);
+  const filterResult = matchesFilters(receivedMessage, filters, envelope);
+  if (!filterResult.matches) {
+    return { action: 'skip', reason: filterResult.reason, envelope, patched: null };
+  }
+  const currentAttempts = parseInt(receivedMessage.message.attributes?.['x-replay-attempts'] || '0');
+  if (currentAttempts >= MAX_REPLAY_ATTEMPTS) {
+    return { action: 'park', reason: `replay attempts ${currentAttempts} >= ${MAX_REPLAY_ATTEMPTS}`, envelope, patched: null };
+  }
+
+  let patched = null;
+  // Data that isn't a JSON envelope can't be patched; it is republished as it is.
+  if (patch && envelope) {
+    try {
+      const { message } = receivedMessage;
+      const result = patch.apply(envelope, { attributes: { ...(message.attributes || {}) }, messageId: message.messageId });
+      if (result.changes.length > 0) patched = { id: patch.id, ...result };
+    } catch (error) {
+      return { action: 'skip', reason: `patch ${patch.id} failed: ${error.message}`, envelope, patched: null };
+    }
+  }
+  return { action: 'republish', reason: `replay attempt ${currentAttempts + 1} of ${MAX_REPLAY_ATTEMPTS}`, envelope, patched };
+}
+
+function formatPlanLine(receivedMessage, plan) {
+  const { message } = receivedMessage;
+  return [
+    `  ${plan.action.padEnd(9)} ${message.messageId}`,
+    `tenant=${plan.envelope?.tenant_id ?? '-'}`,
+    `event_type=${plan.envelope?.event_type ?? '-'}`,
+    `error=${message.attributes?.['x-error-type'] || 'unknown'}`,
+    ...(plan.patched ? [`patch=${plan.patched.id} [${plan.patched.changes.join(', ')}]`] : []),
+    `(${plan.reason})`
+  ].join(' ');
+}
+
+/**
+ * Replace the Pub/Sub clients (used by tests and offline runs)
+ * @param {{subscriber: Object, publisher: Object}} clients - v1.SubscriberClient / v1.PublisherClient-shaped clients
+ */
+function setClients({ subscriber, publisher }) {
+  subscriberClient = subscriber;
+  publisherClient = publisher;
+}
 
 /**
  * Safely reconstruct a message for republishing.
  * This is a pure function that prepares a message for its next destination.
+ * overrides.data replaces the payload (a patched envelope) and overrides.attributes are added last.
  */
-function reconstructMessage(receivedMessage, isParking = false) {
+function reconstructMessage(receivedMessage, isParking = false, overrides = {}) {
   const { message } = receivedMessage;
   const currentAttempts = parseInt(message.attributes?.['x-replay-attempts'] || '0');
   const newAttemptCount = currentAttempts + 1;
 
   // Reconstruct the core message with data as a Buffer
   const reconstructed = {
-    data: Buffer.from(message.data, 'base64'),
+    data: overrides.data ? Buffer.from(overrides.data) : Buffer.from(message.data, 'base64'),
     attributes: {
       // Copy existing attributes, filtering out internal and old tracking attributes
       ...Object.fromEntries(
@@ -46,6 +327,8 @@ function reconstructMessage(receivedMessage, isParking = false) {
     reconstructed.attributes['x-replay-attempts'] = newAttemptCount.toString();
   }
 
+  Object.assign(reconstructed.attributes, overrides.attributes);
+
   if (message.orderingKey) {
     reconstructed.orderingKey = message.orderingKey;
   }
@@ -53,10 +336,173 @@ function reconstructMessage(receivedMessage, isParking = false) {
   return reconstructed;
 }
 
+function createRunState() {
+  return {
+    seenMessageIds: new Set(),
+    heldAckIds: [],
+    counts: { republish: 0, park: 0, skip: 0, failed: 0, patched: 0 }
+  };
+}
+
+/**
+ * Group planned messages into publish lanes. Messages sharing an ordering key form one lane, in pull
+ * order, so they are published one after another; every other message is a lane of its own.
+ * @param {Array<{receivedMessage: Object}>} jobs
+ * @returns {Array<Array<Object>>}
+ */
+function buildPublishLanes(jobs) {
+  const lanes = [];
+  const lanesByKey = new Map();
+  for (const job of jobs) {
+    const orderingKey = job.receivedMessage.message.orderingKey;
+    if (!orderingKey) {
+      lanes.push([job]);
+      continue;
+    }
+    if (!lanesByKey.has(orderingKey)) {
+      lanesByKey.set(orderingKey, []);
+      lanes.push(lanesByKey.get(orderingKey));
+    }
+    lanesByKey.get(orderingKey).push(job);
+  }
+  return lanes;
+}
+
+/**
+ * Publish jobs with up to `concurrency` workers sharing `rateLimiter`, one ordering key at a time per
+ * worker (see buildPublishLanes). After a failed publish, the rest of that ordering key's jobs are not
+ * attempted, so they can't overtake it. onSettled(job, error) is called once per job; error is null on success.
+ * @param {Array<{receivedMessage: Object}>} jobs
+ * @param {{concurrency: number, rateLimiter: {take: function(): Promise<void>}}} options
+ * @param {function(Object): Promise} publishJob
+ * @param {function(Object, Error|null): void} onSettled
+ */
+async function publishInLanes(jobs, { concurrency, rateLimiter }, publishJob, onSettled) {
+  async function publishLane(lane) {
+    let failedOrderingKey = null;
+    for (const job of lane) {
+      const messageId = job.receivedMessage.message.messageId;
+      if (failedOrderingKey) {
+        console.error(` ✗ Message ${messageId} not published: an earlier message with ordering key ${failedOrderingKey} failed. It will not be acknowledged.`);
+        onSettled(job, new Error(`an earlier message with ordering key ${failedOrderingKey} failed`));
+        continue;
+      }
+      try {
+        await rateLimiter.take();
+        await publishJob(job);
+      } catch (error) {
+        failedOrderingKey = job.receivedMessage.message.orderingKey || null;
+        console.error(` ✗ Failed to process message ${messageId}. It will not be acknowledged.`, error);
+        onSettled(job, error);
+        continue;
+      }
+      onSettled(job, null);
+    }
+  }
+
+  const lanes = buildPublishLanes(jobs);
+  let nextLane = 0;
+  const worker = async () => {
+    while (nextLane < lanes.length) {
+      await publishLane(lanes[nextLane++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, lanes.length) }, worker));
+}
+
+/**
+ * Publish one planned message to the main or parking-lot topic
+ */
+async function publishPlannedMessage({ receivedMessage, plan }, formattedTopic, formattedParkingLotTopic) {
+  const messageId = receivedMessage.message.messageId;
+  let messageToPublish;
+  let targetTopic;
+  let action;
+
+  if (plan.action === 'park') {
+    // Time to park the message
+    console.log(`Message ${messageId} exceeded max attempts, parking...`);
+    messageToPublish = reconstructMessage(receivedMessage, true);
+    targetTopic = formattedParkingLotTopic;
+    action = 'parked';
+  } else {
+    // Re-attempt to publish to the main topic
+    messageToPublish = plan.patched
+      ? reconstructMessage(receivedMessage, false, {
+        data: JSON.stringify(plan.patched.envelope),
+        attributes: { 'x-replay-patch': plan.patched.id }
+      })
+      : reconstructMessage(receivedMessage, false);
+    targetTopic = formattedTopic;
+    action = plan.patched ? `patched (${plan.patched.changes.join(', ')}) and republished` : 'republished';
+  }
+
+  await publisherClient.publish({ topic: targetTopic, messages: [messageToPublish] });
+  console.log(` ✓ Message ${messageId} successfully ${action}.`);
+}
+
+/**
+ * Keep re-leasing the ack IDs returned by getAckIds until the returned stop function is called
+ * @returns {function(): void}
+ */
+function startLeaseExtension(formattedSubscription, getAckIds) {
+  const timer = setInterval(() => {
+    const ackIds = getAckIds();
+    for (let i = 0; i < ackIds.length; i += ACK_CHUNK_SIZE) {
+      subscriberClient.modifyAckDeadline({
+        subscription: formattedSubscription,
+        ackIds: ackIds.slice(i, i + ACK_CHUNK_SIZE),
+        ackDeadlineSeconds: REPLAY_ACK_EXTENSION_SEC
+      }).catch(error => console.warn(`⚠️ Failed to extend the ack deadline of ${ackIds.length} messages:`, error.message));
+    }
+  }, REPLAY_LEASE_RENEW_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Nack messages (ack deadline 0) so they go back to the DLQ untouched
+ */
+async function nackMessages(formattedSubscription, ackIds) {
+  for (let i = 0; i < ackIds.length; i += ACK_CHUNK_SIZE) {
+    await subscriberClient.modifyAckDeadline({
+      subscription: formattedSubscription,
+      ackIds: ackIds.slice(i, i + ACK_CHUNK_SIZE),
+      ackDeadlineSeconds: 0
+    });
+  }
+}
+
+/**
+ * Lease messages for HOLD_ACK_DEADLINE_SEC and remember them for releaseHeldMessages
+ */
+async function holdMessages(formattedSubscription, ackIds, state) {
+  for (let i = 0; i < ackIds.length; i += ACK_CHUNK_SIZE) {
+    await subscriberClient.modifyAckDeadline({
+      subscription: formattedSubscription,
+      ackIds: ackIds.slice(i, i + ACK_CHUNK_SIZE),
+      ackDeadlineSeconds: HOLD_ACK_DEADLINE_SEC
+    });
+  }
+  state.heldAckIds.push(...ackIds);
+}
+
 /**
  * Pull and process a single batch of messages from the DLQ.
+ * Messages that don't match the filters (and every message in a dry run) are held, not acked,
+ * and returned to the DLQ by releaseHeldMessages at the end of the run. Returning them sooner
+ * would let them be pulled again ahead of messages the run hasn't seen yet.
+ * The rest are published by publishInLanes; only messages whose publish succeeded are acked,
+ * and the ones that failed are held and returned with the skipped ones.
  */
-async function pullAndProcessBatch(formattedSubscription, formattedTopic, formattedParkingLotTopic) {
+async function pullAndProcessBatch(formattedSubscription, formattedTopic, formattedParkingLotTopic, options = {}, state = createRunState()) {
+  const {
+    filters = parseReplayArgs([]).filters,
+    dryRun = false,
+    patch = null,
+    concurrency = REPLAY_CONCURRENCY,
+    rateLimiter = createTokenBucket({ ratePerSec: REPLAY_RATE_LIMIT })
+  } = options;
   const [response] = await subscriberClient.pull({
     subscription: formattedSubscription,
     maxMessages: BATCH_SIZE,
@@ -69,81 +515,348 @@ async function pullAndProcessBatch(formattedSubscription, formattedTopic, format
 
   console.log(`Pulled ${messages.length} messages to process.`);
   
-  const successfulAckIds = [];
+  const jobs = [];
+  const unpublishedAckIds = [];
+  let newMessages = 0;
   
   for (const receivedMessage of messages) {
-    try {
-      const currentAttempts = parseInt(receivedMessage.message.attributes?.['x-replay-attempts'] || '0');
-      let messageToPublish;
-      let targetTopic;
-      let action;
-
-      if (currentAttempts >= MAX_REPLAY_ATTEMPTS) {
-        // Time to park the message
-        console.log(`Message ${receivedMessage.message.messageId} exceeded max attempts, parking...`);
-        messageToPublish = reconstructMessage(receivedMessage, true);
-        targetTopic = formattedParkingLotTopic;
-        action = 'parked';
-      } else {
-        // Re-attempt to publish to the main topic
-        messageToPublish = reconstructMessage(receivedMessage, false);
-        targetTopic = formattedTopic;
-        action = 'republished';
-      }
+    const messageId = receivedMessage.message.messageId;
+    if (state.seenMessageIds.has(messageId)) {
+      // Redelivered after we already planned it this run; hand it back with the rest.
+      unpublishedAckIds.push(receivedMessage.ackId);
+      continue;
+    }
+    state.seenMessageIds.add(messageId);
+    newMessages++;
 
-      await publisherClient.publish({ topic: targetTopic, messages: [messageToPublish] });
-      console.log(` ✓ Message ${receivedMessage.message.messageId} successfully ${action}.`);
-      
-      // Add this message's ackId to the list of successful ones for this batch
-      successfulAckIds.push(receivedMessage.ackId);
+    const plan = planMessage(receivedMessage, filters, patch);
+    if (dryRun || plan.action === 'skip') {
+      if (dryRun) console.log(formatPlanLine(receivedMessage, plan));
+      state.counts[plan.action]++;
+      if (plan.patched) state.counts.patched++;
+      unpublishedAckIds.push(receivedMessage.ackId);
+      continue;
+    }
+    jobs.push({ receivedMessage, plan });
+  }
 
-      if (REPLAY_DELAY_MS > 0) {
-        await new Promise(resolve => setTimeout(resolve, REPLAY_DELAY_MS));
-      }
+  // Keep held messages leased so the next pulls return new ones instead of the same messages again.
+  await holdMessages(formattedSubscription, unpublishedAckIds, state);
 
-    } catch (error) {
-      console.error(` ✗ Failed to process message ${receivedMessage.message.messageId}. It will not be acknowledged.`, error);
-    }
+  const successfulAckIds = [];
+  const failedAckIds = [];
+  const unsettledAckIds = new Set(jobs.map(job => job.receivedMessage.ackId));
+  const stopLeaseExtension = startLeaseExtension(formattedSubscription, () => [...unsettledAckIds]);
+
+  try {
+    await publishInLanes(
+      jobs,
+      { concurrency, rateLimiter },
+      job => publishPlannedMessage(job, formattedTopic, formattedParkingLotTopic),
+      ({ receivedMessage, plan }, error) => {
+        unsettledAckIds.delete(receivedMessage.ackId);
+        if (error) {
+          state.counts.failed++;
+          failedAckIds.push(receivedMessage.ackId);
+          return;
+        }
+        state.counts[plan.action]++;
+        if (plan.patched) state.counts.patched++;
+        successfulAckIds.push(receivedMessage.ackId);
+      }
+    );
+  } finally {
+    stopLeaseExtension();
   }
 
-  // Acknowledge all successfully processed messages from this batch at once
+  // Acknowledge all successfully processed messages from this batch
+  for (let i = 0; i < successfulAckIds.length; i += ACK_CHUNK_SIZE) {
+    await subscriberClient.acknowledge({
+      subscription: formattedSubscription,
+      ackIds: successfulAckIds.slice(i, i + ACK_CHUNK_SIZE)
+    });
+  }
   if (successfulAckIds.length > 0) {
-    await subscriberClient.acknowledge({ subscription: formattedSubscription, ackIds: successfulAckIds });
     console.log(`Acknowledged ${successfulAckIds.length} successfully processed messages.`);
   }
+  await holdMessages(formattedSubscription, failedAckIds, state);
 
-  return { messagesFound: messages.length, shouldContinue: true };
+  // A pull of nothing but already-planned messages means the rest of the DLQ has been seen.
+  return { messagesFound: messages.length, shouldContinue: newMessages > 0 };
 }
 
 /**
- * Main DLQ replay function.
+ * Nack every held message (ack deadline 0) so it goes back to the DLQ untouched.
  */
-async function main() {
-  console.log(`Starting DLQ replay job for subscription: ${DLQ_SUBSCRIPTION_NAME}`);
+async function releaseHeldMessages(formattedSubscription, state) {
+  if (state.heldAckIds.length === 0) return;
+  await nackMessages(formattedSubscription, state.heldAckIds);
+  console.log(`Returned ${state.heldAckIds.length} held messages to the DLQ.`);
+  state.heldAckIds = [];
+}
+
+/**
+ * Replay the DLQ: republish matching messages to the main topic, or park them.
+ * @param {Object} options - From parseReplayArgs
+ * @returns {Promise<Object>} - Per-action message counts for the run
+ */
+async function runReplay({ filters, dryRun, concurrency, ratePerSec, ...patchOptions }) {
+  const patch = loadReplayPatch(patchOptions);
+
+  console.log(`Starting DLQ replay job for subscription: ${DLQ_SUBSCRIPTION_NAME}${dryRun ? ' (dry run: nothing will be published or acked)' : ''}`);
+  if (patch) console.log(`Applying patch ${patch.id} to republished messages.`);
+  if (!dryRun) console.log(`Publishing with concurrency ${concurrency}, ${ratePerSec > 0 ? `at most ${ratePerSec} messages/s` : 'no rate limit'}.`);
   
   const projectId = await subscriberClient.getProjectId();
   const formattedSubscription = `projects/${projectId}/subscriptions/${DLQ_SUBSCRIPTION_NAME}`;
   const formattedTopic = `projects/${projectId}/topics/${MAIN_TOPIC_ID}`;
   const formattedParkingLotTopic = `projects/${projectId}/topics/${PARKING_LOT_TOPIC_ID}`;
 
+  const state = createRunState();
+  // One bucket for the whole run, so the rate holds across pulls.
+  const rateLimiter = createTokenBucket({ ratePerSec });
+  let pullCount = 0;
+  try {
+    while (pullCount < MAX_PULLS) {
+      console.log(`\n--- Pull attempt ${pullCount + 1} of ${MAX_PULLS} ---`);
+      const { shouldContinue } = await pullAndProcessBatch(
+        formattedSubscription,
+        formattedTopic,
+        formattedParkingLotTopic,
+        { filters, dryRun, patch, concurrency, rateLimiter },
+        state
+      );
+      pullCount++;
+      if (!shouldContinue) {
+        console.log('No new messages in the DLQ. Replay job complete.');
+        break;
+      }
+    }
+
+    if (pullCount >= MAX_PULLS) {
+      console.warn(`⚠️ Reached maximum pull limit (${MAX_PULLS}). DLQ may still contain messages.`);
+    }
+  } finally {
+    await releaseHeldMessages(formattedSubscription, state);
+  }
+
+  const verb = dryRun ? 'would be' : 'were';
+  console.log(`\nSummary: ${state.counts.republish} ${verb} republished${patch ? ` (${state.counts.patched} patched)` : ''}, ${state.counts.park} ${verb} parked, ` +
+    `${state.counts.skip} skipped, ${state.counts.failed} failed.`);
+  return state.counts;
+}
+
+function filtersForManifest(filters) {
+  return {
+    ...filters,
+    since: filters.since === null ? null : new Date(filters.since).toISOString(),
+    until: filters.until === null ? null : new Date(filters.until).toISOString()
+  };
+}
+
+/**
+ * Export the DLQ to an NDJSON archive, one message per line (see dlqArchive.toArchiveLine), and write
+ * a checksum manifest next to it. Every pulled message is held, its lease renewed by startLeaseExtension,
+ * until the archive is on disk; then exported messages are acked (or, with --keep, returned to the DLQ)
+ * and the rest are returned.
+ * @param {Object} options - From parseReplayArgs
+ * @returns {Promise<Object>} - The export manifest
+ */
+async function exportArchive({ filters, outFile, keep }) {
+  const projectId = await subscriberClient.getProjectId();
+  const formattedSubscription = `projects/${projectId}/subscriptions/${DLQ_SUBSCRIPTION_NAME}`;
+  console.log(`Exporting ${formattedSubscription} to ${outFile}${keep ? ' (messages stay in the DLQ)' : ''}`);
+
+  const state = createRunState();
+  const exportedAckIds = [];
+  const digest = createDataDigest();
+  // 'wx' refuses to overwrite an earlier snapshot.
+  const fd = fs.openSync(outFile, 'wx');
+  let complete = false;
   let pullCount = 0;
-  while (pullCount < MAX_PULLS) {
-    console.log(`\n--- Pull attempt ${pullCount + 1} of ${MAX_PULLS} ---`);
-    const { messagesFound, shouldContinue } = await pullAndProcessBatch(
-      formattedSubscription,
-      formattedTopic,
-      formattedParkingLotTopic
+  // However long the export takes, held messages must not be redelivered before they are acked or returned.
+  const stopLeaseExtension = startLeaseExtension(formattedSubscription, () => [...exportedAckIds, ...state.heldAckIds]);
+
+  try {
+    try {
+      while (pullCount < MAX_PULLS) {
+        const [response] = await subscriberClient.pull({ subscription: formattedSubscription, maxMessages: BATCH_SIZE });
+        pullCount++;
+        const messages = response.receivedMessages || [];
+        let newMessages = 0;
+        let exported = 0;
+
+        for (const receivedMessage of messages) {
+          const messageId = receivedMessage.message.messageId;
+          if (state.seenMessageIds.has(messageId)) {
+            state.heldAckIds.push(receivedMessage.ackId);
+            continue;
+          }
+          state.seenMessageIds.add(messageId);
+          newMessages++;
+          if (!matchesFilters(receivedMessage, filters).matches) {
+            state.counts.skip++;
+            state.heldAckIds.push(receivedMessage.ackId);
+            continue;
+          }
+          exported++;
+          fs.writeSync(fd, `${toArchiveLine(receivedMessage)}\n`);
+          digest.add(messageDataBuffer(receivedMessage.message.data));
+          exportedAckIds.push(receivedMessage.ackId);
+        }
+
+        // Hold everything pulled until the archive is complete, so later pulls return new messages.
+        const pulledAckIds = messages.map(receivedMessage => receivedMessage.ackId);
+        for (let i = 0; i < pulledAckIds.length; i += ACK_CHUNK_SIZE) {
+          await subscriberClient.modifyAckDeadline({
+            subscription: formattedSubscription,
+            ackIds: pulledAckIds.slice(i, i + ACK_CHUNK_SIZE),
+            ackDeadlineSeconds: REPLAY_ACK_EXTENSION_SEC
+          });
+        }
+        console.log(`Pull ${pullCount}: ${exported} exported, ${digest.count()} so far.`);
+        // A pull of nothing but already-seen messages means the rest of the DLQ has been seen.
+        if (newMessages === 0) break;
+      }
+      if (pullCount >= MAX_PULLS) {
+        console.warn(`⚠️ Reached maximum pull limit (${MAX_PULLS}). The archive may not contain every DLQ message.`);
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const { sha256, bytes } = await hashFile(outFile);
+    const manifest = {
+      kind: 'dlq-export',
+      createdAt: new Date().toISOString(),
+      subscription: formattedSubscription,
+      archive: path.basename(outFile),
+      messageCount: digest.count(),
+      archiveBytes: bytes,
+      archiveSha256: sha256,
+      dataSha256: digest.hex(),
+      filters: filtersForManifest(filters),
+      acked: !keep
+    };
+    writeManifest(manifestPathFor(outFile), manifest);
+    complete = true;
+    stopLeaseExtension();
+
+    if (!keep) {
+      for (let i = 0; i < exportedAckIds.length; i += ACK_CHUNK_SIZE) {
+        await subscriberClient.acknowledge({ subscription: formattedSubscription, ackIds: exportedAckIds.slice(i, i + ACK_CHUNK_SIZE) });
+      }
+    }
+    console.log(`\nExported ${manifest.messageCount} messages (${bytes} bytes, sha256 ${sha256}); ` +
+      `${keep ? 'left them in the DLQ' : 'acked them'}. ${state.counts.skip} skipped by filters.`);
+    console.log(`Manifest: ${manifestPathFor(outFile)}`);
+    return manifest;
+  } finally {
+    stopLeaseExtension();
+    // An incomplete archive must not cost us the messages: return everything not acked to the DLQ.
+    if (keep || !complete) state.heldAckIds.push(...exportedAckIds);
+    await releaseHeldMessages(formattedSubscription, state);
+  }
+}
+
+/**
+ * Republish an NDJSON archive to a topic through reconstructMessage, in archive order per ordering
+ * key, and write an import manifest next to the archive. The archive is checked against its export
+ * manifest first when there is one.
+ * @param {Object} options - From parseReplayArgs
+ * @returns {Promise<Object>} - The import manifest
+ */
+async function importArchive({ inFile, topic, concurrency, ratePerSec }) {
+  const exportManifest = await verifyArchive(inFile);
+  if (exportManifest) {
+    console.log(`Archive ${inFile} matches its manifest (${exportManifest.messageCount} messages).`);
+  } else {
+    console.warn(`⚠️ No manifest found for ${inFile}; importing without verifying the archive.`);
+  }
+
+  const formattedTopic = topic.includes('/') ? topic : `projects/${await publisherClient.getProjectId()}/topics/${topic}`;
+  console.log(`Importing ${inFile} to ${formattedTopic} with concurrency ${concurrency}, ` +
+    `${ratePerSec > 0 ? `at most ${ratePerSec} messages/s` : 'no rate limit'}.`);
+
+  const rateLimiter = createTokenBucket({ ratePerSec });
+  const digest = createDataDigest();
+  const failures = [];
+  let messageCount = 0;
+  let jobs = [];
+
+  const publishJobs = async () => {
+    const errors = new Map();
+    await publishInLanes(
+      jobs,
+      { concurrency, rateLimiter },
+      job => publisherClient.publish({ topic: formattedTopic, messages: [reconstructMessage(job.receivedMessage)] }),
+      (job, error) => errors.set(job, error)
     );
-    pullCount++;
-    if (!shouldContinue) {
-      console.log('DLQ is empty. Replay job complete.');
-      break;
+    // Digest in archive order, whatever order the publishes finished in.
+    for (const job of jobs) {
+      const error = errors.get(job);
+      if (error) {
+        failures.push({ line: job.lineNumber, messageId: job.receivedMessage.message.messageId, error: error.message });
+      } else {
+        digest.add(messageDataBuffer(job.receivedMessage.message.data));
+      }
     }
+    jobs = [];
+  };
+
+  const lines = readline.createInterface({ input: fs.createReadStream(inFile), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    messageCount++;
+    jobs.push({ lineNumber, receivedMessage: fromArchiveLine(line, lineNumber) });
+    if (jobs.length >= BATCH_SIZE) await publishJobs();
   }
+  if (jobs.length > 0) await publishJobs();
 
-  if (pullCount >= MAX_PULLS) {
-    console.warn(`⚠️ Reached maximum pull limit (${MAX_PULLS}). DLQ may still contain messages.`);
+  const { sha256 } = await hashFile(inFile);
+  const createdAt = new Date().toISOString();
+  const manifest = {
+    kind: 'dlq-import',
+    createdAt,
+    archive: path.basename(inFile),
+    archiveSha256: sha256,
+    topic: formattedTopic,
+    messageCount,
+    publishedCount: digest.count(),
+    failedCount: failures.length,
+    dataSha256: digest.hex(),
+    // true when every exported message was published; null without an export manifest to compare with
+    matchesExport: exportManifest
+      ? failures.length === 0 && digest.count() === exportManifest.messageCount && digest.hex() === exportManifest.dataSha256
+      : null,
+    failures
+  };
+  const importManifestPath = `${inFile}.import-${createdAt.replace(/[:.]/g, '-')}.manifest.json`;
+  writeManifest(importManifestPath, manifest);
+
+  console.log(`\nImported ${manifest.publishedCount} of ${messageCount} messages, ${failures.length} failed.` +
+    (exportManifest ? ` Matches export manifest: ${manifest.matchesExport ? 'yes' : 'NO'}.` : ''));
+  console.log(`Manifest: ${importManifestPath}`);
+  return manifest;
+}
+
+/**
+ * Replay job entry point: parse the command line and run the selected command.
+ * @param {string[]} argv - CLI arguments (see USAGE)
+ * @returns {Promise<Object|null>} - replay: per-action counts; export / import: the manifest; --help: null
+ */
+async function main(argv = process.argv.slice(2)) {
+  const options = parseReplayArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return null;
   }
+  if (options.command === 'export') return exportArchive(options);
+  if (options.command === 'import') return importArchive(options);
+  return runReplay(options);
 }
 
 if (require.main === module) {
@@ -153,4 +866,15 @@ if (require.main === module) {
   });
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = {
+  main,
+  parseReplayArgs,
+  planMessage,
+  matchesFilters,
+  decodeEnvelope,
+  reconstructMessage,
+  pullAndProcessBatch,
+  exportArchive,
+  importArchive,
+  setClients
+};
\ No newline at end of file
@@ -0,0 +1,473 @@
+// src/replay-dlq-job.test.js
+
+process.env.REPLAY_RATE_LIMIT = '0';
+process.env.REPLAY_LEASE_RENEW_MS = '20';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalPubSub } = require('./localPubSub');
+const { applyPatchOperations, loadPatchFile, loadTransformModule, validatePatch } = require('./replayPatch');
+const { createTokenBucket } = require('./tokenBucket');
+const { main, parseReplayArgs, planMessage, setClients } = require('./replay-dlq-job');
+
+const DLQ_TOPIC = 'projects/local-project/topics/call-audits-dlq';
+const DLQ_SUBSCRIPTION = 'projects/local-project/subscriptions/call-audits-dlq-sub';
+const MAIN_TOPIC = 'projects/local-project/topics/phone-call-metadata';
+const PARKING_LOT_TOPIC = 'projects/local-project/topics/phone-call-metadata-parking-lot';
+
+const envelope = (tenantId, eventType, occurredAt) => ({
+  envelope_version: 1,
+  event_type: eventType,
+  schema_version: 1,
+  tenant_id: tenantId,
+  occurred_at: occurredAt,
+  payload: { call_id: `${tenantId}-${eventType}` },
+});
+
+const received = (env, attributes = {}) => ({
+  ackId: 'ack-1',
+  message: { messageId: 'm-1', data: Buffer.from(JSON.stringify(env)), attributes },
+});
+
+describe('planMessage', () => {
+  test('should skip messages outside the filters and name the failing filter', () => {
+    const { filters } = parseReplayArgs(['--tenant', 'org-demo', '--error-reason', 'validation_error']);
+
+    expect(planMessage(received(envelope('org-other', 'call.metadata', '2025-08-28T12:00:00Z')), filters))
+      .toMatchObject({ action: 'skip', reason: 'tenant_id org-other != org-demo' });
+    expect(planMessage(received(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z')), filters))
+      .toMatchObject({ action: 'skip', reason: 'x-error-type unknown != validation_error' });
+    expect(planMessage(received(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'), { 'x-error-type': 'validation_error' }), filters))
+      .toMatchObject({ action: 'republish' });
+  });
+
+  test('should apply --since/--until to occurred_at or to the failure time', () => {
+    const window = ['--since', '2025-08-28T00:00:00Z', '--until', '2025-08-29T00:00:00Z'];
+    const { filters: byOccurred } = parseReplayArgs(window);
+    const { filters: byFailed } = parseReplayArgs([...window, '--time-field', 'failed_at']);
+    const message = received(envelope('org-demo', 'call.metadata', '2025-08-27T23:59:59Z'), { 'x-failed-at': '2025-08-28T08:00:00Z' });
+
+    expect(planMessage(message, byOccurred).action).toBe('skip');
+    expect(planMessage(message, byFailed).action).toBe('republish');
+
+    // No x-failed-at: fall back to the pulled message's google.protobuf.Timestamp publish time.
+    const pulled = received(envelope('org-demo', 'call.metadata', '2025-08-27T23:59:59Z'));
+    pulled.message.publishTime = { seconds: String(Date.parse('2025-08-28T08:00:00Z') / 1000), nanos: 500000000 };
+    expect(planMessage(pulled, byFailed).action).toBe('republish');
+    pulled.message.publishTime = { seconds: String(Date.parse('2025-08-29T08:00:00Z') / 1000), nanos: 0 };
+    expect(planMessage(pulled, byFailed).action).toBe('skip');
+  });
+
+  test('should park messages that used up their replay attempts', () => {
+    const { filters } = parseReplayArgs([]);
+    expect(planMessage(received(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'), { 'x-replay-attempts': '3' }), filters).action)
+      .toBe('park');
+  });
+
+  test('should reject invalid flag values', () => {
+    expect(() => parseReplayArgs(['--since', 'yesterday'])).toThrow('--since must be an ISO-8601 timestamp');
+    expect(() => parseReplayArgs(['--time-field', 'received_at'])).toThrow('--time-field must be one of');
+    expect(() => parseReplayArgs(['--patch', 'a.json', '--transform', 'b.js'])).toThrow('cannot be used together');
+    expect(() => parseReplayArgs(['--concurrency', '0'])).toThrow('--concurrency must be a positive integer');
+    expect(() => parseReplayArgs(['--rate', 'fast'])).toThrow('--rate must be a number');
+    expect(() => parseReplayArgs(['archive'])).toThrow('Unknown command "archive"');
+    expect(() => parseReplayArgs(['export'])).toThrow('export requires --out');
+    expect(() => parseReplayArgs(['import', '--in', 'a.ndjson'])).toThrow('import requires --in <file> and --topic');
+    expect(() => parseReplayArgs(['import', '--in', 'a.ndjson', '--topic', 't', '--tenant', 'org-demo'])).toThrow('import does not accept --tenant');
+    expect(() => parseReplayArgs(['--keep'])).toThrow('replay does not accept --keep');
+  });
+
+  test('should attach the patched envelope to republished messages only', () => {
+    const { filters } = parseReplayArgs([]);
+    const patch = { id: 'fix', apply: env => applyPatchOperations(env, { operations: [{ op: 'default', field: 'tenant_id', value: 'org-fixed' }] }) };
+
+    const plan = planMessage(received(envelope('', 'call.metadata', '2025-08-28T12:00:00Z')), filters, patch);
+    expect(plan).toMatchObject({ action: 'republish', patched: { id: 'fix', changes: ['default tenant_id'] } });
+    expect(plan.patched.envelope.tenant_id).toBe('org-fixed');
+
+    expect(planMessage(received(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z')), filters, patch).patched).toBeNull();
+    expect(planMessage(received(envelope('', 'call.metadata', '2025-08-28T12:00:00Z'), { 'x-replay-attempts': '3' }), filters, patch))
+      .toMatchObject({ action: 'park', patched: null });
+  });
+
+  test('should skip messages whose transform throws', () => {
+    const { filters } = parseReplayArgs([]);
+    const patch = { id: 'broken', apply: () => { throw new Error('boom'); } };
+    expect(planMessage(received(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z')), filters, patch))
+      .toMatchObject({ action: 'skip', reason: 'patch broken failed: boom' });
+  });
+});
+
+describe('applyPatchOperations', () => {
+  const patch = validatePatch({
+    id: 'p',
+    operations: [
+      { op: 'default', field: 'tenant_id', value: 'org-fixed', when: { event_type: 'call.metadata' } },
+      { op: 'rename', from: 'payload.call_id', to: 'payload.id' },
+      { op: 'set', field: 'payload.source', value: 'replay', when: { tenant_id: ['org-fixed'] } },
+    ],
+  });
+
+  test('should apply operations in order, honouring when conditions, without modifying the input', () => {
+    const original = envelope(null, 'call.metadata', '2025-08-28T12:00:00Z');
+    const { envelope: patched, changes } = applyPatchOperations(original, patch);
+
+    expect(changes).toEqual(['default tenant_id', 'rename payload.call_id -> payload.id', 'set payload.source']);
+    expect(patched).toMatchObject({ tenant_id: 'org-fixed', payload: { id: 'null-call.metadata', source: 'replay' } });
+    expect(patched.payload).not.toHaveProperty('call_id');
+    expect(original.tenant_id).toBeNull();
+  });
+
+  test('should report no changes when nothing applies', () => {
+    const { changes } = applyPatchOperations({ event_type: 'chat.message', tenant_id: 'org-demo', payload: {} }, patch);
+    expect(changes).toEqual([]);
+  });
+
+  test('should reject malformed patches', () => {
+    expect(() => validatePatch({ operations: [] })).toThrow('non-empty string "id"');
+    expect(() => validatePatch({ id: 'p', operations: [{ op: 'remove', field: 'x' }] })).toThrow('unknown op "remove"');
+    expect(() => validatePatch({ id: 'p', operations: [{ op: 'set', field: 'x' }] })).toThrow('missing "value"');
+    expect(() => validatePatch({ id: 'p', operations: [{ op: 'rename', from: 'x' }] })).toThrow('missing "from"/"to"');
+  });
+});
+
+describe('replay patch modules', () => {
+  const transformDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-transform-'));
+  const writeTransform = (name, source) => {
+    const file = path.join(transformDir, name);
+    fs.writeFileSync(file, source);
+    return file;
+  };
+
+  afterAll(() => fs.rmSync(transformDir, { recursive: true, force: true }));
+
+  test('should leave the example patch\'s schema_version and payload fields for the handler to upcast', () => {
+    const patch = loadPatchFile(path.join(__dirname, '..', 'config', 'replay-patch.example.json'));
+    const original = { ...envelope('', 'call.metadata', '2025-08-28T12:00:00Z'), payload: { call_id: 'c-1', caller_number: '+14155550001', duration: 12.4 } };
+    const { envelope: patched } = patch.apply(original);
+
+    expect(patched).toMatchObject({ tenant_id: 'org-dlq-replayed', schema_version: 1 });
+    expect(patched.payload).toEqual({ call_id: 'c-1', caller: '+14155550001', duration: 12.4 });
+  });
+
+  test('should reject async transforms and transforms that return a Promise', () => {
+    const asyncFile = writeTransform('async.js', 'module.exports = async envelope => envelope;');
+    expect(() => loadTransformModule(asyncFile)).toThrow('must export a synchronous function');
+
+    const thenable = loadTransformModule(writeTransform('thenable.js', 'module.exports = envelope => Promise.resolve(envelope);'));
+    expect(() => thenable.apply(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'), {}))
+      .toThrow('returned a Promise; transforms must be synchronous');
+  });
+});
+
+describe('createTokenBucket', () => {
+  test('should allow a burst and then pace takes at the configured rate', async () => {
+    let clock = 0;
+    const sleeps = [];
+    const bucket = createTokenBucket({
+      ratePerSec: 2,
+      now: () => clock,
+      sleep: async ms => { sleeps.push(ms); clock += ms; },
+    });
+
+    await Promise.all([bucket.take(), bucket.take(), bucket.take(), bucket.take()]);
+    expect(sleeps).toEqual([500, 500]);
+    expect(clock).toBe(1000);
+  });
+
+  test('should never wait when the rate is 0', async () => {
+    const sleep = jest.fn();
+    const bucket = createTokenBucket({ ratePerSec: 0, sleep });
+    await Promise.all(Array.from({ length: 100 }, () => bucket.take()));
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
+
+describe('main', () => {
+  let pubsub;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(async () => {
+    pubsub = createLocalPubSub({ subscriptions: { [DLQ_SUBSCRIPTION]: DLQ_TOPIC } });
+    setClients(pubsub);
+    const seed = [
+      [envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'), { 'x-error-type': 'validation_error' }],
+      [envelope('org-demo', 'chat.message', '2025-08-28T12:00:00Z'), { 'x-error-type': 'validation_error' }],
+      [envelope('org-other', 'call.metadata', '2025-08-28T12:00:00Z'), {}],
+      [envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'), { 'x-replay-attempts': '3' }],
+    ];
+    await pubsub.publisher.publish({
+      topic: DLQ_TOPIC,
+      messages: seed.map(([env, attributes]) => ({ data: Buffer.from(JSON.stringify(env)), attributes })),
+    });
+  });
+
+  test('should republish only matching messages and return the rest to the DLQ untouched', async () => {
+    const counts = await main(['--tenant', 'org-demo', '--event-type', 'call.metadata']);
+
+    expect(counts).toEqual({ republish: 1, park: 1, skip: 2, failed: 0, patched: 0 });
+    expect(pubsub.getPublished(MAIN_TOPIC)).toHaveLength(1);
+    expect(pubsub.getPublished(PARKING_LOT_TOPIC)).toHaveLength(1);
+
+    const returned = pubsub.getBacklog(DLQ_SUBSCRIPTION);
+    expect(returned.map(m => JSON.parse(m.data.toString()).event_type).sort()).toEqual(['call.metadata', 'chat.message']);
+    expect(returned.every(m => !('x-replay-attempts' in m.attributes))).toBe(true);
+    expect(pubsub.getOutstanding(DLQ_SUBSCRIPTION)).toHaveLength(0);
+  });
+
+  test('should reach matching messages behind more than a pull of skipped ones', async () => {
+    pubsub.clear();
+    const seed = [
+      ...Array.from({ length: 10 }, () => envelope('org-other', 'call.metadata', '2025-08-28T12:00:00Z')),
+      ...Array.from({ length: 20 }, () => envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z')),
+    ];
+    await pubsub.publisher.publish({ topic: DLQ_TOPIC, messages: seed.map(env => ({ data: Buffer.from(JSON.stringify(env)) })) });
+
+    const counts = await main(['--tenant', 'org-demo']);
+
+    expect(counts).toEqual({ republish: 20, park: 0, skip: 10, failed: 0, patched: 0 });
+    expect(pubsub.getPublished(MAIN_TOPIC)).toHaveLength(20);
+    expect(pubsub.getBacklog(DLQ_SUBSCRIPTION).map(m => JSON.parse(m.data.toString()).tenant_id)).toEqual(Array(10).fill('org-other'));
+    expect(pubsub.getOutstanding(DLQ_SUBSCRIPTION)).toHaveLength(0);
+  });
+
+  test('should print a plan in dry-run mode without publishing or acking', async () => {
+    console.log.mockClear();
+    const counts = await main(['--dry-run']);
+
+    expect(counts).toEqual({ republish: 3, park: 1, skip: 0, failed: 0, patched: 0 });
+    expect(pubsub.getPublished(MAIN_TOPIC)).toHaveLength(0);
+    expect(pubsub.getPublished(PARKING_LOT_TOPIC)).toHaveLength(0);
+    expect(pubsub.getBacklog(DLQ_SUBSCRIPTION)).toHaveLength(4);
+
+    const planLines = console.log.mock.calls.map(([line]) => line).filter(line => /^\s+(republish|park|skip)\s/.test(line));
+    expect(planLines).toHaveLength(4);
+    expect(planLines[0]).toContain('tenant=org-demo event_type=call.metadata error=validation_error');
+  });
+
+  test('should republish patched envelopes tagged with x-replay-patch', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-patch-'));
+    const patchFile = path.join(dir, 'patch.json');
+    fs.writeFileSync(patchFile, JSON.stringify({
+      id: 'rename-call-id',
+      operations: [{ op: 'rename', from: 'payload.call_id', to: 'payload.id', when: { event_type: 'call.metadata' } }],
+    }));
+
+    try {
+      const counts = await main(['--tenant', 'org-demo', '--patch', patchFile]);
+      expect(counts).toMatchObject({ republish: 2, patched: 1 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const [patched, unpatched] = pubsub.getPublished(MAIN_TOPIC);
+    expect(JSON.parse(patched.data.toString()).payload).toEqual({ id: 'org-demo-call.metadata' });
+    expect(patched.attributes).toMatchObject({ 'x-replay-patch': 'rename-call-id', 'x-replay-attempts': '1' });
+    expect(JSON.parse(unpatched.data.toString()).payload).toEqual({ call_id: 'org-demo-chat.message' });
+    expect(unpatched.attributes).not.toHaveProperty('x-replay-patch');
+  });
+
+  describe('concurrent publishing', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    let inFlight;
+    let maxInFlight;
+
+    // Wraps the local publisher so earlier messages take longer, which reorders anything not kept in a lane.
+    const slowPublisher = ({ failOn = () => false } = {}) => ({
+      getProjectId: pubsub.publisher.getProjectId,
+      async publish(request) {
+        const env = JSON.parse(request.messages[0].data.toString());
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        try {
+          await delay(env.payload.delay_ms ?? 5);
+          if (failOn(env)) throw new Error('publish failed');
+          return await pubsub.publisher.publish(request);
+        } finally {
+          inFlight--;
+        }
+      },
+    });
+
+    const seedOrdered = async () => {
+      pubsub.clear();
+      const messages = [];
+      for (let i = 0; i < 4; i++) {
+        messages.push({ ...envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'), payload: { seq: i, delay_ms: 40 - i * 10 } });
+      }
+      await pubsub.publisher.publish({
+        topic: DLQ_TOPIC,
+        messages: [
+          ...messages.map(env => ({ data: Buffer.from(JSON.stringify(env)), orderingKey: 'call-1' })),
+          ...messages.map(env => ({ data: Buffer.from(JSON.stringify({ ...env, payload: { ...env.payload, seq: 10 + env.payload.seq } })) })),
+        ],
+      });
+    };
+
+    beforeEach(() => {
+      inFlight = 0;
+      maxInFlight = 0;
+    });
+
+    test('should publish up to --concurrency messages at once and keep ordering keys in order', async () => {
+      await seedOrdered();
+      setClients({ subscriber: pubsub.subscriber, publisher: slowPublisher() });
+
+      const counts = await main(['--concurrency', '3']);
+
+      expect(counts).toMatchObject({ republish: 8, failed: 0 });
+      expect(maxInFlight).toBe(3);
+      const published = pubsub.getPublished(MAIN_TOPIC);
+      expect(published.filter(m => m.orderingKey === 'call-1').map(m => JSON.parse(m.data.toString()).payload.seq))
+        .toEqual([0, 1, 2, 3]);
+      // Without an ordering key, the slow early messages are overtaken.
+      expect(published.filter(m => !m.orderingKey).map(m => JSON.parse(m.data.toString()).payload.seq))
+        .not.toEqual([10, 11, 12, 13]);
+      expect(pubsub.getOutstanding(DLQ_SUBSCRIPTION)).toHaveLength(0);
+    });
+
+    test('should stop an ordering key after a failed publish, ack only what was published and return the rest', async () => {
+      await seedOrdered();
+      setClients({ subscriber: pubsub.subscriber, publisher: slowPublisher({ failOn: env => env.payload.seq === 1 || env.payload.seq === 11 }) });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const counts = await main(['--concurrency', '4']);
+        expect(counts).toMatchObject({ republish: 4, failed: 4 });
+      } finally {
+        console.error.mockRestore();
+      }
+
+      const seqs = pubsub.getPublished(MAIN_TOPIC).map(m => JSON.parse(m.data.toString()).payload.seq).sort((a, b) => a - b);
+      expect(seqs).toEqual([0, 10, 12, 13]);
+      const returned = pubsub.getBacklog(DLQ_SUBSCRIPTION).map(m => JSON.parse(m.data.toString()).payload.seq).sort((a, b) => a - b);
+      expect(returned).toEqual([1, 2, 3, 11]);
+      expect(pubsub.getOutstanding(DLQ_SUBSCRIPTION)).toHaveLength(0);
+    });
+
+    test('should extend the ack deadline of messages still waiting to be published', async () => {
+      await seedOrdered();
+      setClients({ subscriber: pubsub.subscriber, publisher: slowPublisher() });
+      const modifyAckDeadline = jest.spyOn(pubsub.subscriber, 'modifyAckDeadline');
+
+      await main(['--concurrency', '1']);
+
+      const extensions = modifyAckDeadline.mock.calls.filter(([request]) => request.ackDeadlineSeconds === 60);
+      expect(extensions.length).toBeGreaterThan(0);
+      expect(extensions[extensions.length - 1][0].ackIds.length).toBeLessThan(extensions[0][0].ackIds.length);
+    });
+  });
+
+  describe('export and import', () => {
+    const IMPORT_TOPIC = 'projects/other-project/topics/phone-call-metadata';
+    let dir;
+    let archive;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlq-archive-'));
+      archive = path.join(dir, 'dlq.ndjson');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const readLines = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    test('should snapshot matching messages with a manifest and leave the DLQ untouched with --keep', async () => {
+      const manifest = await main(['export', '--out', archive, '--keep', '--tenant', 'org-demo']);
+
+      const lines = readLines(archive);
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatchObject({ attributes: { 'x-error-type': 'validation_error' }, orderingKey: '' });
+      expect(JSON.parse(Buffer.from(lines[0].data, 'base64').toString())).toEqual(envelope('org-demo', 'call.metadata', '2025-08-28T12:00:00Z'));
+
+      expect(manifest).toMatchObject({ kind: 'dlq-export', messageCount: 3, acked: false, filters: { tenantId: 'org-demo' } });
+      expect(JSON.parse(fs.readFileSync(`${archive}.manifest.json`, 'utf8'))).toMatchObject({
+        archiveSha256: manifest.archiveSha256,
+        dataSha256: manifest.dataSha256,
+      });
+      expect(pubsub.getBacklog(DLQ_SUBSCRIPTION)).toHaveLength(4);
+      expect(pubsub.getOutstanding(DLQ_SUBSCRIPTION)).toHaveLength(0);
+    });
+
+    test('should ack exported messages by default and refuse to overwrite an archive', async () => {
+      await main(['export', '--out', archive, '--tenant', 'org-demo']);
+
+      expect(pubsub.getBacklog(DLQ_SUBSCRIPTION).map(m => JSON.parse(m.data.toString()).tenant_id)).toEqual(['org-other']);
+      await expect(main(['export', '--out', archive])).rejects.toThrow('EEXIST');
+    });
+
+    test('should import an archive through reconstructMessage and confirm nothing was lost', async () => {
+      const exported = await main(['export', '--out', archive]);
+      const manifest = await main(['import', '--in', archive, '--topic', IMPORT_TOPIC, '--concurrency', '2']);
+
+      expect(manifest).toMatchObject({
+        kind: 'dlq-import',
+        messageCount: 4,
+        publishedCount: 4,
+        failedCount: 0,
+        dataSha256: exported.dataSha256,
+        matchesExport: true,
+      });
+      const published = pubsub.getPublished(IMPORT_TOPIC);
+      expect(published).toHaveLength(4);
+      expect(published[0].attributes).toMatchObject({ 'x-replay-attempts': '1', 'x-error-type': 'validation_error' });
+      expect(published.map(m => m.attributes['x-original-message-id']).sort()).toEqual(readLines(archive).map(line => line.messageId).sort());
+      expect(fs.readdirSync(dir).filter(name => name.includes('.import-'))).toHaveLength(1);
+    });
+
+    test('should keep exported messages leased until they are acked, however long the export takes', async () => {
+      // Leases expire for real here, one simulated second per millisecond; the second pull comes after 700 s.
+      const leases = new Map(); // ackId -> expiry time
+      const inner = pubsub.subscriber;
+      let pulls = 0;
+      setClients({
+        publisher: pubsub.publisher,
+        subscriber: {
+          getProjectId: inner.getProjectId,
+          async pull(request) {
+            if (pulls++ > 0) await new Promise(resolve => setTimeout(resolve, 700));
+            const expired = [...leases].filter(([, expiresAt]) => expiresAt <= Date.now()).map(([ackId]) => ackId);
+            expired.forEach(ackId => leases.delete(ackId));
+            await inner.modifyAckDeadline({ subscription: request.subscription, ackIds: expired, ackDeadlineSeconds: 0 });
+            const [response] = await inner.pull(request);
+            response.receivedMessages.forEach(({ ackId }) => leases.set(ackId, Date.now() + 10));
+            return [response];
+          },
+          async modifyAckDeadline(request) {
+            request.ackIds.filter(ackId => leases.has(ackId))
+              .forEach(ackId => (request.ackDeadlineSeconds > 0 ? leases.set(ackId, Date.now() + request.ackDeadlineSeconds) : leases.delete(ackId)));
+            return inner.modifyAckDeadline(request);
+          },
+          async acknowledge(request) {
+            request.ackIds.forEach(ackId => leases.delete(ackId));
+            return inner.acknowledge(request);
+          },
+        },
+      });
+
+      const manifest = await main(['export', '--out', archive]);
+
+      expect(manifest.messageCount).toBe(4);
+      expect(pubsub.getBacklog(DLQ_SUBSCRIPTION)).toHaveLength(0);
+      expect(pubsub.getOutstanding(DLQ_SUBSCRIPTION)).toHaveLength(0);
+    });
+
+    test('should refuse to import an archive that no longer matches its manifest', async () => {
+      await main(['export', '--out', archive, '--keep']);
+      fs.appendFileSync(archive, `${JSON.stringify({ messageId: 'x', attributes: {}, data: '' })}\n`);
+
+      await expect(main(['import', '--in', archive, '--topic', IMPORT_TOPIC])).rejects.toThrow('does not match its manifest');
+      expect(pubsub.getPublished(IMPORT_TOPIC)).toHaveLength(0);
+    });
+  });
+});
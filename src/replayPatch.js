@@ -0,0 +1,144 @@
+// src/replayPatch.js
+// Patches applied to DLQ envelopes before the replay job republishes them: declarative patch files or transform modules
+
+const fs = require('fs');
+const path = require('path');
+const { getFieldValue, setFieldValue, deleteFieldValue } = require('./fieldPath');
+
+const PATCH_OPS = ['set', 'rename', 'default'];
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Whether an envelope satisfies a rule's `when` clause; each key is an exact value or a list of values
+ * @param {Object} envelope
+ * @param {{event_type?: string|string[], tenant_id?: string|string[]}} when
+ * @returns {boolean}
+ */
+function matchesCondition(envelope, when = {}) {
+  return ['event_type', 'tenant_id'].every(field => {
+    if (when[field] === undefined) return true;
+    const allowed = Array.isArray(when[field]) ? when[field] : [when[field]];
+    return allowed.includes(envelope[field]);
+  });
+}
+
+/**
+ * Validate a declarative patch
+ * @param {{id: string, operations: Array}} patch
+ * @returns {{id: string, operations: Array}}
+ */
+function validatePatch(patch) {
+  if (!patch || typeof patch.id !== 'string' || patch.id === '') {
+    throw new Error('Patch must have a non-empty string "id"');
+  }
+  if (!Array.isArray(patch.operations) || patch.operations.length === 0) {
+    throw new Error(`Patch "${patch.id}" must have a non-empty "operations" array`);
+  }
+  patch.operations.forEach((operation, index) => {
+    const label = `Patch "${patch.id}" operation ${index}`;
+    if (!PATCH_OPS.includes(operation.op)) {
+      throw new Error(`${label} has unknown op "${operation.op}". Expected one of: ${PATCH_OPS.join(', ')}`);
+    }
+    if (operation.op === 'rename' ? !(operation.from && operation.to) : !operation.field) {
+      throw new Error(`${label} (${operation.op}) is missing ${operation.op === 'rename' ? '"from"/"to"' : '"field"'}`);
+    }
+    if (operation.op !== 'rename' && !('value' in operation)) {
+      throw new Error(`${label} (${operation.op}) is missing "value"`);
+    }
+  });
+  return patch;
+}
+
+/**
+ * Apply a declarative patch's operations, in order, to a copy of the envelope.
+ * set: always write `value` at `field`; default: write it only when the field is missing, null or '';
+ * rename: move `from` to `to` when `from` is present. Operations whose `when` doesn't match are skipped.
+ * @param {Object} envelope - The decoded DLQ envelope (not modified)
+ * @param {{id: string, operations: Array}} patch
+ * @returns {{envelope: Object, changes: string[]}} - The patched copy and a description of each change made
+ */
+function applyPatchOperations(envelope, patch) {
+  const patched = JSON.parse(JSON.stringify(envelope));
+  const changes = [];
+
+  for (const operation of patch.operations) {
+    // Conditions see the envelope as earlier operations left it.
+    if (!matchesCondition(patched, operation.when)) continue;
+
+    if (operation.op === 'set') {
+      if (getFieldValue(patched, operation.field) !== operation.value) {
+        setFieldValue(patched, operation.field, operation.value);
+        changes.push(`set ${operation.field}`);
+      }
+    } else if (operation.op === 'default') {
+      if (isMissing(getFieldValue(patched, operation.field))) {
+        setFieldValue(patched, operation.field, operation.value);
+        changes.push(`default ${operation.field}`);
+      }
+    } else if (operation.op === 'rename') {
+      const value = getFieldValue(patched, operation.from);
+      if (value !== undefined) {
+        deleteFieldValue(patched, operation.from);
+        setFieldValue(patched, operation.to, value);
+        changes.push(`rename ${operation.from} -> ${operation.to}`);
+      }
+    }
+  }
+  return { envelope: patched, changes };
+}
+
+/**
+ * Load a declarative patch file
+ * @param {string} filePath - JSON file: { id, operations: [{ op, field|from/to, value, when }] }
+ * @returns {{id: string, apply: function(Object, Object): {envelope: Object, changes: string[]}}}
+ */
+function loadPatchFile(filePath) {
+  const patch = validatePatch(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  return { id: patch.id, apply: envelope => applyPatchOperations(envelope, patch) };
+}
+
+/**
+ * Load a transform module. It exports a synchronous function (envelope, context) returning the envelope to
+ * republish (a copy or the argument modified in place), or null/undefined to leave the message as is.
+ * context is { attributes, messageId }. An optional `id` export names the patch; otherwise the file name is used.
+ * @param {string} modulePath - Path to a CommonJS module
+ * @returns {{id: string, apply: function(Object, Object): {envelope: Object, changes: string[]}}}
+ */
+function loadTransformModule(modulePath) {
+  const resolved = path.resolve(modulePath);
+  const transform = require(resolved);
+  if (typeof transform !== 'function') {
+    throw new Error(`Transform module ${modulePath} must export a function`);
+  }
+  if (transform.constructor.name === 'AsyncFunction') {
+    throw new Error(`Transform module ${modulePath} must export a synchronous function`);
+  }
+  const id = transform.id || `transform:${path.basename(resolved)}`;
+
+  return {
+    id,
+    apply(envelope, context) {
+      const before = JSON.stringify(envelope);
+      const result = transform(JSON.parse(before), context);
+      if (result === null || result === undefined) return { envelope, changes: [] };
+      // A Promise would pass the object check below and be republished as {}.
+      if (typeof result.then === 'function') {
+        throw new Error(`Transform ${id} returned a Promise; transforms must be synchronous`);
+      }
+      if (typeof result !== 'object' || Array.isArray(result)) {
+        throw new Error(`Transform ${id} must return an envelope object or null`);
+      }
+      return { envelope: result, changes: JSON.stringify(result) === before ? [] : ['transform'] };
+    }
+  };
+}
+
+module.exports = {
+  applyPatchOperations,
+  loadPatchFile,
+  loadTransformModule,
+  validatePatch
+};
@@ -0,0 +1,134 @@
+// src/routing.js
+// Destination routing: maps tenant_id / event_type patterns to a BigQuery dataset and table
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const BQ_DATASET = process.env.BQ_DATASET || 'drivehealth_dw';
+const BQ_TABLE = process.env.BQ_TABLE || 'events';
+const BQ_ROUTES_FILE = process.env.BQ_ROUTES_FILE || null;
+
+// BigQuery naming rules: datasets are letters, digits and underscores; tables also allow
+// Unicode letters, marks, connectors, dashes and spaces.
+const DATASET_NAME_PATTERN = /^[A-Za-z0-9_]{1,1024}$/;
+const TABLE_NAME_PATTERN = /^[\p{L}\p{M}\p{N}\p{Pc}\p{Pd} ]{1,1024}$/u;
+
+// Routing table: [{ id, tenant_id, event_type, dataset, table }], first match wins.
+let routes = [];
+
+/**
+ * Compile a '*' glob pattern (e.g. 'call.*') into a RegExp
+ * @param {string} pattern - The pattern; '*' matches any run of characters
+ * @returns {RegExp}
+ */
+function compilePattern(pattern = '*') {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Replace the active routing table
+ * @param {Array} newRoutes - Array of { id, tenant_id, event_type, dataset, table } objects
+ */
+function setRoutes(newRoutes) {
+  routes = newRoutes.map((route, index) => {
+    if (!route.table) {
+      throw new Error(`Route ${route.id || index} is missing a table`);
+    }
+    if (!TABLE_NAME_PATTERN.test(route.table)) {
+      throw new Error(`Route ${route.id || index} has an invalid table name: ${route.table}`);
+    }
+    if (route.dataset && !DATASET_NAME_PATTERN.test(route.dataset)) {
+      throw new Error(`Route ${route.id || index} has an invalid dataset name: ${route.dataset}`);
+    }
+    return {
+      id: route.id || `route-${index}`,
+      tenantPattern: compilePattern(route.tenant_id),
+      eventTypePattern: compilePattern(route.event_type),
+      dataset: route.dataset || BQ_DATASET,
+      table: route.table
+    };
+  });
+}
+
+/**
+ * Load the routing table from a JSON config file
+ * @param {string} filePath - Path to a JSON file with a top-level "routes" array
+ * @returns {number} - Number of routes loaded
+ */
+function loadRoutes(filePath = BQ_ROUTES_FILE) {
+  if (!filePath) {
+    routes = [];
+    return 0;
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  setRoutes(config.routes || []);
+  logger.info('BigQuery routes loaded', { file: filePath, route_count: routes.length });
+  return routes.length;
+}
+
+/**
+ * Resolve the destination table for an envelope
+ * @param {Object} envelope - The event envelope
+ * @returns {{dataset: string, table: string, routeId: string}}
+ */
+function resolveDestination(envelope) {
+  const route = routes.find(r =>
+    r.tenantPattern.test(envelope.tenant_id || '') && r.eventTypePattern.test(envelope.event_type || ''));
+
+  if (route) {
+    return { dataset: route.dataset, table: route.table, routeId: route.id };
+  }
+  return { dataset: BQ_DATASET, table: BQ_TABLE, routeId: 'default' };
+}
+
+/**
+ * List every table an event type can be routed to (matching routes for any tenant, plus the default)
+ * @param {string} eventType - The event type
+ * @returns {Array<{dataset: string, table: string}>}
+ */
+function listDestinations(eventType) {
+  const destinations = new Map([[`${BQ_DATASET}.${BQ_TABLE}`, { dataset: BQ_DATASET, table: BQ_TABLE }]]);
+  for (const route of routes) {
+    if (route.eventTypePattern.test(eventType)) {
+      destinations.set(`${route.dataset}.${route.table}`, { dataset: route.dataset, table: route.table });
+    }
+  }
+  return [...destinations.values()];
+}
+
+/**
+ * List every table referenced by the routing table, plus the default
+ * @returns {Array<{dataset: string, table: string}>}
+ */
+function listAllDestinations() {
+  const destinations = new Map([[`${BQ_DATASET}.${BQ_TABLE}`, { dataset: BQ_DATASET, table: BQ_TABLE }]]);
+  for (const route of routes) {
+    destinations.set(`${route.dataset}.${route.table}`, { dataset: route.dataset, table: route.table });
+  }
+  return [...destinations.values()];
+}
+
+/**
+ * Stable string key for a destination, used to group rows per insert
+ * @param {{dataset: string, table: string}} destination
+ * @returns {string}
+ */
+function destinationKey(destination) {
+  return `${destination.dataset}.${destination.table}`;
+}
+
+// Load the routing table once at startup.
+loadRoutes();
+
+module.exports = {
+  setRoutes,
+  loadRoutes,
+  resolveDestination,
+  listDestinations,
+  listAllDestinations,
+  destinationKey,
+  BQ_DATASET,
+  BQ_TABLE
+};
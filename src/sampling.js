@@ -2,13 +2,162 @@
 // Deterministic hash-based sampling
 
 const crypto = require('crypto');
+const fs = require('fs');
 const { logger } = require('./logger');
+const { getFieldValue } = require('./fieldPath');
 
 const AUDIT_RATE = parseFloat(process.env.AUDIT_RATE || "1.0");
+const SAMPLING_RULES_FILE = process.env.SAMPLING_RULES_FILE || null;
+const WILDCARD = '*';
+
+// Rules table: [{ id, tenant_id, event_type, rate }], '*' matches any value.
+let samplingRules = [];
+
+// "Always keep" predicates: [{ id, field, op, value }], evaluated against the envelope.
+let keepRules = [];
+
+// Correlation keys: { event_type: dot path }, '*' applies to any event type.
+// Events that share a correlation value get the same sampling decision.
+let correlationKeys = {};
+
+const KEEP_RULE_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  exists: (actual) => actual !== undefined && actual !== null
+};
+
+/**
+ * Load sampling rules from a JSON config file
+ * @param {string} filePath - Path to a JSON file with a top-level "rules" array
+ * @returns {Array} - The loaded rules
+ */
+function loadSamplingRules(filePath = SAMPLING_RULES_FILE) {
+  if (!filePath) {
+    samplingRules = [];
+    keepRules = [];
+    correlationKeys = {};
+    return samplingRules;
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  setSamplingRules(config.rules || []);
+  setKeepRules(config.keep || []);
+  setCorrelationKeys(config.correlation || {});
+  logger.info('Sampling rules loaded', {
+    file: filePath,
+    rule_count: samplingRules.length,
+    keep_rule_count: keepRules.length,
+    correlation_event_types: Object.keys(correlationKeys)
+  });
+  return samplingRules;
+}
+
+/**
+ * Replace the active sampling rules
+ * @param {Array} rules - Array of { id, tenant_id, event_type, rate } objects
+ */
+function setSamplingRules(rules) {
+  samplingRules = rules.map((rule, index) => {
+    const rate = parseFloat(rule.rate);
+    if (isNaN(rate) || rate < 0 || rate > 1) {
+      throw new Error(`Sampling rule ${rule.id || index} has an invalid rate: ${rule.rate}`);
+    }
+    return {
+      id: rule.id || `rule-${index}`,
+      tenant_id: rule.tenant_id || WILDCARD,
+      event_type: rule.event_type || WILDCARD,
+      rate
+    };
+  });
+}
+
+/**
+ * Check whether a sampling rule names a tenant explicitly
+ * @param {string} tenantId - The tenant ID
+ * @returns {boolean}
+ */
+function isSamplingRuleTenant(tenantId) {
+  return tenantId !== WILDCARD && samplingRules.some(rule => rule.tenant_id === tenantId);
+}
+
+/**
+ * Replace the active "always keep" rules
+ * @param {Array} rules - Array of { id, field, op, value } objects; field is a dot path such as 'payload.status'
+ */
+function setKeepRules(rules) {
+  keepRules = rules.map((rule, index) => {
+    if (!rule.field || !KEEP_RULE_OPERATORS[rule.op]) {
+      throw new Error(`Keep rule ${rule.id || index} needs a field and one of: ${Object.keys(KEEP_RULE_OPERATORS).join(', ')}`);
+    }
+    return { id: rule.id || `keep-${index}`, field: rule.field, op: rule.op, value: rule.value };
+  });
+}
+
+/**
+ * Find the first "always keep" rule that matches the envelope
+ * @param {Object} envelope - The event envelope, including its payload
+ * @returns {Object|null} - The matching rule, or null if none match
+ */
+function findKeepRule(envelope) {
+  return keepRules.find(rule => KEEP_RULE_OPERATORS[rule.op](getFieldValue(envelope, rule.field), rule.value)) || null;
+}
 
 /**
- * Deterministic sampling based on idempotency key
+ * Replace the active correlation key configuration
+ * @param {Object} keys - Map of event_type (or '*') to a dot path such as 'payload.call_id' or 'trace_id'
+ */
+function setCorrelationKeys(keys) {
+  correlationKeys = { ...keys };
+}
+
+/**
+ * Resolve the value that sampling should hash for an envelope.
+ * Falls back to the idempotency key when no correlation key is configured or the field is empty.
  * @param {string} idempotencyKey - The unique key for the event
+ * @param {Object} envelope - The event envelope
+ * @returns {{key: string, field: string}} - The value to hash and the field it came from
+ */
+function resolveSamplingKey(idempotencyKey, envelope) {
+  const field = correlationKeys[envelope.event_type] || correlationKeys[WILDCARD];
+  if (field) {
+    const value = getFieldValue(envelope, field);
+    if (value !== undefined && value !== null && value !== '') {
+      return { key: String(value), field };
+    }
+  }
+  return { key: idempotencyKey, field: 'idempotencyKey' };
+}
+
+/**
+ * Resolve the sampling rate for an envelope from the rules table.
+ * An exact tenant_id match beats an exact event_type match, which beats a full wildcard.
+ * @param {Object} envelope - The event envelope
+ * @returns {{rate: number, ruleId: string}} - The resolved rate and matching rule ID
+ */
+function resolveSamplingRate(envelope) {
+  const candidates = [
+    [envelope.tenant_id, envelope.event_type],
+    [envelope.tenant_id, WILDCARD],
+    [WILDCARD, envelope.event_type],
+    [WILDCARD, WILDCARD]
+  ];
+
+  for (const [tenantId, eventType] of candidates) {
+    const rule = samplingRules.find(r => r.tenant_id === tenantId && r.event_type === eventType);
+    if (rule) return { rate: rule.rate, ruleId: rule.id };
+  }
+
+  return { rate: AUDIT_RATE, ruleId: 'default' };
+}
+
+/**
+ * Deterministic sampling based on idempotency key (or a correlation key)
+ * @param {string} idempotencyKey - The key to hash for the event
  * @param {number} auditRate - Sampling rate (0.0 to 1.0)
  * @returns {boolean} - True if event should be sampled
  */
@@ -28,15 +177,20 @@ function shouldSample(idempotencyKey, auditRate = AUDIT_RATE) {
  * @param {string} idempotencyKey - The unique key for the event
  * @param {Object} envelope - The event envelope
  * @param {boolean} sampled - Whether the event was sampled
+ * @param {Object} resolution - The resolved rate, matching rule and decision reason
  */
-function logSamplingDecision(idempotencyKey, envelope, sampled) {
+function logSamplingDecision(idempotencyKey, envelope, sampled, resolution = { rate: AUDIT_RATE, ruleId: 'default', reason: 'hashed' }) {
   const logMetadata = {
     idempotencyKey,
     tenant_id: envelope.tenant_id,
     event_type: envelope.event_type,
     trace_id: envelope.trace_id,
     sampled,
-    audit_rate: AUDIT_RATE
+    sampling_reason: resolution.reason,
+    correlation_field: resolution.correlationField,
+    keep_rule_id: resolution.keepRuleId,
+    audit_rate: resolution.rate,
+    sampling_rule_id: resolution.ruleId
   };
   
   if (sampled) {
@@ -47,21 +201,54 @@ function logSamplingDecision(idempotencyKey, envelope, sampled) {
 }
 
 /**
- * Evaluate sampling for an event and log the decision
+ * Evaluate sampling for an event and log the decision.
+ * "Always keep" rules are checked first; only events they don't match go through the hash check,
+ * which hashes the event type's correlation key so related events are kept or dropped together.
+ * Keep rules apply per event, not per correlation key: they override whole-call sampling, so a kept
+ * event's siblings can still be hashed out. The forced decision records the correlation field so
+ * such partially kept calls can be found.
  * @param {string} idempotencyKey - The unique key for the event
  * @param {Object} envelope - The event envelope
- * @param {number} auditRate - Optional override for audit rate
- * @returns {boolean} - True if event should be sampled
+ * @param {number} auditRate - Optional override for audit rate; resolved from the rules table when omitted
+ * @returns {Object} - { sampled: boolean, reason: 'forced'|'hashed', rate, ruleId, keepRuleId, correlationField }
  */
-function evaluateSampling(idempotencyKey, envelope, auditRate = AUDIT_RATE) {
-  const sampled = shouldSample(idempotencyKey, auditRate);
-  logSamplingDecision(idempotencyKey, envelope, sampled);
-  return sampled;
+function evaluateSampling(idempotencyKey, envelope, auditRate) {
+  const resolution = auditRate === undefined
+    ? resolveSamplingRate(envelope)
+    : { rate: auditRate, ruleId: 'override' };
+
+  const keepRule = findKeepRule(envelope);
+  const samplingKey = resolveSamplingKey(idempotencyKey, envelope);
+  let decision;
+  if (keepRule) {
+    decision = { sampled: true, reason: 'forced', keepRuleId: keepRule.id, correlationField: samplingKey.field, ...resolution };
+  } else {
+    decision = {
+      sampled: shouldSample(samplingKey.key, resolution.rate),
+      reason: 'hashed',
+      correlationField: samplingKey.field,
+      ...resolution
+    };
+  }
+
+  logSamplingDecision(idempotencyKey, envelope, decision.sampled, decision);
+  return decision;
 }
 
+// Load the rules table once at startup.
+loadSamplingRules();
+
 module.exports = {
   shouldSample,
   logSamplingDecision,
   evaluateSampling,
+  loadSamplingRules,
+  setSamplingRules,
+  isSamplingRuleTenant,
+  setKeepRules,
+  findKeepRule,
+  setCorrelationKeys,
+  resolveSamplingKey,
+  resolveSamplingRate,
   AUDIT_RATE
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// src/schemaRegistry.js
+// Payload schema registry keyed by event_type and schema_version
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { logger } = require('./logger');
+
+const SCHEMA_DIR = process.env.SCHEMA_DIR || path.join(__dirname, '..', 'schemas');
+const SCHEMA_REGISTRY_STRICT = process.env.SCHEMA_REGISTRY_STRICT === 'true';
+
+// Schema files are named <event_type>.v<schema_version>.json, e.g. call.metadata.v1.json
+const SCHEMA_FILE_PATTERN = /^(.+)\.v(\d+)\.json$/;
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+function schemaKey(eventType, schemaVersion) {
+  return `${eventType}@v${parseInt(schemaVersion, 10)}`;
+}
+
+/**
+ * Register a JSON Schema for one event_type + schema_version pair
+ * @param {string} eventType - The event type (e.g. 'call.metadata')
+ * @param {number|string} schemaVersion - The payload schema version
+ * @param {Object} schema - The JSON Schema for the payload
+ */
+function registerSchema(eventType, schemaVersion, schema) {
+  validators.set(schemaKey(eventType, schemaVersion), ajv.compile(schema));
+}
+
+/**
+ * Load every schema file from a directory into the registry
+ * @param {string} dir - Directory containing <event_type>.v<N>.json files
+ * @returns {number} - Number of schemas loaded
+ */
+function loadSchemas(dir = SCHEMA_DIR) {
+  if (!fs.existsSync(dir)) {
+    logger.warn('Schema directory not found, payload validation disabled', { dir });
+    return 0;
+  }
+
+  let loaded = 0;
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(SCHEMA_FILE_PATTERN);
+    if (!match) continue;
+
+    const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    registerSchema(match[1], match[2], schema);
+    loaded++;
+  }
+
+  logger.info('Payload schemas loaded', { dir, count: loaded });
+  return loaded;
+}
+
+/**
+ * Convert an Ajv error into a field-level error relative to the envelope
+ * @param {Object} ajvError - A single entry from validator.errors
+ * @returns {{field: string, message: string}}
+ */
+function toFieldError(ajvError) {
+  let field = 'payload' + ajvError.instancePath.replace(/\//g, '.');
+  if (ajvError.params?.missingProperty) {
+    field += `.${ajvError.params.missingProperty}`;
+  }
+  return { field, message: ajvError.message };
+}
+
+/**
+ * Validate a payload against the schema registered for its event type and version
+ * @param {string} eventType - The event type
+ * @param {number|string} schemaVersion - The payload schema version
+ * @param {Object} payload - The event payload
+ * @returns {Object} - { isValid: boolean, registered: boolean, errors: {field, message}[] }
+ */
+function validatePayload(eventType, schemaVersion, payload) {
+  const validator = validators.get(schemaKey(eventType, schemaVersion));
+
+  if (!validator) {
+    if (SCHEMA_REGISTRY_STRICT) {
+      return {
+        isValid: false,
+        registered: false,
+        errors: [{ field: 'schema_version', message: `no payload schema registered for ${eventType} v${schemaVersion}` }]
+      };
+    }
+    return { isValid: true, registered: false, errors: [] };
+  }
+
+  if (validator(payload)) {
+    return { isValid: true, registered: true, errors: [] };
+  }
+  return { isValid: false, registered: true, errors: validator.errors.map(toFieldError) };
+}
+
+function hasSchema(eventType, schemaVersion) {
+  return validators.has(schemaKey(eventType, schemaVersion));
+}
+
+/**
+ * Check whether any schema version is registered for an event type
+ * @param {string} eventType - The event type
+ * @returns {boolean}
+ */
+function isRegisteredEventType(eventType) {
+  const prefix = `${eventType}@v`;
+  return [...validators.keys()].some(key => key.startsWith(prefix));
+}
+
+function clearSchemas() {
+  validators.clear();
+}
+
+// Load the bundled schemas once at startup.
+loadSchemas();
+
+module.exports = {
+  registerSchema,
+  loadSchemas,
+  validatePayload,
+  hasSchema,
+  isRegisteredEventType,
+  clearSchemas,
+  SCHEMA_DIR,
+  SCHEMA_REGISTRY_STRICT
+};
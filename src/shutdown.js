@@ -0,0 +1,140 @@
+// src/shutdown.js
+// Coordinates graceful shutdown: stop intake, drain in-flight requests, flush batches, exit before the deadline.
+
+const { logger } = require('./logger');
+const { flushPendingBatch, getBatchState } = require('./batchProcessor');
+const { commitStagedFiles, BQ_LOAD_EVENT_TYPES } = require('./bq');
+
+// Cloud Run sends SIGKILL 10s after SIGTERM; leave a little headroom for the final log lines.
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 9000;
+
+let shuttingDown = false;
+let shutdownPromise = null;
+let inFlightRequests = 0;
+let drainWaiters = [];
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+function getInFlightRequestCount() {
+  return inFlightRequests;
+}
+
+/**
+ * Express middleware that counts requests until their response is done and refuses new ones
+ * once shutdown has started (keep-alive connections can still deliver them after server.close).
+ */
+function trackInFlightRequests(req, res, next) {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+    return res.status(503).send('Service Unavailable: shutting down');
+  }
+
+  inFlightRequests++;
+  let finished = false;
+  const onDone = () => {
+    if (finished) return;
+    finished = true;
+    inFlightRequests--;
+    if (inFlightRequests === 0) {
+      const waiters = drainWaiters;
+      drainWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  };
+  res.on('finish', onDone);
+  res.on('close', onDone);
+  next();
+}
+
+function waitForInFlightRequests() {
+  if (inFlightRequests === 0) return Promise.resolve();
+  return new Promise(resolve => drainWaiters.push(resolve));
+}
+
+async function drainAndFlush(server) {
+  if (server) {
+    // Stops accepting new connections; open keep-alive sockets are closed once idle.
+    server.close(error => {
+      if (error) logger.warn('HTTP server close reported an error', { error: error.message });
+    });
+    if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+  }
+
+  if (inFlightRequests > 0) {
+    logger.info('Waiting for in-flight requests', { in_flight_requests: inFlightRequests });
+    // Batched requests only answer once their rows are written, so start flushing while we wait.
+    await Promise.all([waitForInFlightRequests(), flushPendingBatch()]);
+  }
+
+  await flushPendingBatch();
+  if (BQ_LOAD_EVENT_TYPES.length > 0) {
+    await commitStagedFiles();
+  }
+}
+
+/**
+ * Runs the shutdown sequence once; later calls return the same promise.
+ * @param {object} options
+ * @param {import('http').Server} [options.server] - Server returned by app.listen.
+ * @param {string} [options.signal] - Signal that triggered the shutdown, for logging.
+ * @param {number} [options.gracePeriodMs] - Deadline for the whole sequence.
+ * @param {function(number): void} [options.exit] - Called with the exit code (process.exit by default).
+ * @returns {Promise<number>} The exit code passed to exit.
+ */
+function gracefulShutdown({ server, signal, gracePeriodMs = SHUTDOWN_GRACE_MS, exit = process.exit } = {}) {
+  if (shutdownPromise) {
+    logger.info('Shutdown already in progress', { signal });
+    return shutdownPromise;
+  }
+
+  shuttingDown = true;
+  const startedAt = Date.now();
+  logger.info('Shutdown started; readiness is now false', { signal, grace_period_ms: gracePeriodMs });
+
+  let deadlineTimer;
+  const deadline = new Promise(resolve => {
+    deadlineTimer = setTimeout(() => resolve('deadline'), gracePeriodMs);
+  });
+
+  shutdownPromise = Promise.race([drainAndFlush(server).then(() => 'done'), deadline])
+    .then(outcome => {
+      if (outcome === 'done') {
+        logger.info('Shutdown complete', { signal, duration_ms: Date.now() - startedAt });
+        return 0;
+      }
+      const batchState = getBatchState();
+      logger.error('Shutdown deadline exceeded; dropping remaining work', {
+        signal,
+        grace_period_ms: gracePeriodMs,
+        dropped: {
+          in_flight_requests: inFlightRequests,
+          queued_rows: batchState.currentBatchSize,
+          in_flight_flushes: batchState.inFlight.length,
+          in_flight_rows: batchState.inFlight.reduce((sum, flush) => sum + flush.rows, 0),
+          waiting_flushes: batchState.waitingFlushes
+        }
+      });
+      return 1;
+    })
+    .catch(error => {
+      logger.error('Error during shutdown flush', { signal, error: error.message });
+      return 1;
+    })
+    .then(code => {
+      clearTimeout(deadlineTimer);
+      exit(code);
+      return code;
+    });
+
+  return shutdownPromise;
+}
+
+module.exports = {
+  trackInFlightRequests,
+  gracefulShutdown,
+  isShuttingDown,
+  getInFlightRequestCount,
+  SHUTDOWN_GRACE_MS
+};
@@ -0,0 +1,100 @@
+// src/shutdown.test.js
+
+const { EventEmitter } = require('events');
+
+// --- Mocks ---
+jest.mock('./batchProcessor', () => ({
+  flushPendingBatch: jest.fn().mockResolvedValue(undefined),
+  getBatchState: jest.fn().mockReturnValue({ currentBatchSize: 0, inFlight: [], waitingFlushes: 0 }),
+}));
+
+jest.mock('./bq', () => ({
+  commitStagedFiles: jest.fn().mockResolvedValue([]),
+  BQ_LOAD_EVENT_TYPES: [],
+}));
+// --- End Mocks ---
+
+const loadShutdown = () => {
+  let isolated;
+  jest.isolateModules(() => {
+    isolated = {
+      shutdown: require('./shutdown'),
+      batchProcessor: require('./batchProcessor'),
+    };
+  });
+  return isolated;
+};
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.set = jest.fn().mockReturnValue(res);
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const createServer = () => ({ close: jest.fn(), closeIdleConnections: jest.fn() });
+
+describe('gracefulShutdown', () => {
+  test('should stop intake, wait for in-flight requests, then flush and exit 0', async () => {
+    const { shutdown, batchProcessor } = loadShutdown();
+    const server = createServer();
+    const exit = jest.fn();
+    const next = jest.fn();
+
+    const inFlight = createResponse();
+    shutdown.trackInFlightRequests({}, inFlight, next);
+    expect(shutdown.getInFlightRequestCount()).toBe(1);
+
+    const done = shutdown.gracefulShutdown({ server, signal: 'SIGTERM', gracePeriodMs: 1000, exit });
+    expect(shutdown.isShuttingDown()).toBe(true);
+    expect(server.close).toHaveBeenCalled();
+
+    // Requests arriving mid-shutdown are refused instead of handled.
+    const late = createResponse();
+    shutdown.trackInFlightRequests({}, late, next);
+    expect(late.status).toHaveBeenCalledWith(503);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    await Promise.resolve();
+    expect(exit).not.toHaveBeenCalled();
+
+    inFlight.emit('finish');
+    await expect(done).resolves.toBe(0);
+    expect(shutdown.getInFlightRequestCount()).toBe(0);
+    expect(batchProcessor.flushPendingBatch).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  test('should run the sequence once when a second signal arrives', async () => {
+    const { shutdown, batchProcessor } = loadShutdown();
+    const exit = jest.fn();
+
+    const first = shutdown.gracefulShutdown({ signal: 'SIGTERM', gracePeriodMs: 1000, exit });
+    const second = shutdown.gracefulShutdown({ signal: 'SIGINT', gracePeriodMs: 1000, exit });
+
+    expect(second).toBe(first);
+    await first;
+    expect(batchProcessor.flushPendingBatch).toHaveBeenCalledTimes(1);
+    expect(exit).toHaveBeenCalledTimes(1);
+  });
+
+  test('should exit 1 and report dropped work when the grace period runs out', async () => {
+    const { shutdown, batchProcessor } = loadShutdown();
+    const exit = jest.fn();
+
+    batchProcessor.flushPendingBatch.mockReturnValue(new Promise(() => {}));
+    batchProcessor.getBatchState.mockReturnValue({
+      currentBatchSize: 2,
+      inFlight: [{ id: 1, rows: 5, destinations: ['drivehealth_dw.events'], ageMs: 40 }],
+      waitingFlushes: 0,
+    });
+    shutdown.trackInFlightRequests({}, createResponse(), jest.fn());
+
+    const code = await shutdown.gracefulShutdown({ server: createServer(), signal: 'SIGTERM', gracePeriodMs: 20, exit });
+
+    expect(code).toBe(1);
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(batchProcessor.getBatchState).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+// src/sink.js
+// Sink selection: every write goes through writeBatch so the destination can be swapped by env var
+
+const { logger } = require('./logger');
+const { writeBatchToBigQuery } = require('./bq');
+const { createFileSink } = require('./fileSink');
+const { bigQueryBreaker, isSinkFailure, CB_ENABLED } = require('./circuitBreaker');
+
+const SINK_TYPE = process.env.SINK_TYPE || 'bigquery';
+
+// Permit for sinks without a circuit breaker: nothing to reserve or release.
+const UNGUARDED_PERMIT = { probe: false, isHeld: () => false, release() {} };
+
+/**
+ * Every sink exposes writeBatch(events, destination) and resolves to the writeBatchToBigQuery contract:
+ * { success: true, count, processingTime, logMetadata } or { success: false, errors: [...] },
+ * where a PartialFailureError carries per-row { index, errors: [{ reason, message }] }.
+ * A sink may also expose allowsWrites() so callers can fail fast while it is unavailable, and
+ * acquireWritePermit() to reserve a write (a half-open probe slot) that writeBatch's options.permit then uses.
+ */
+const SINK_FACTORIES = {
+  bigquery: () => ({
+    name: 'bigquery',
+    // BigQuery writes go through the circuit breaker so a degraded API is not hammered by retries.
+    writeBatch: CB_ENABLED
+      ? (events, destination, options = {}) =>
+        bigQueryBreaker.execute(() => writeBatchToBigQuery(events, destination), isSinkFailure, options.permit)
+      : (events, destination) => writeBatchToBigQuery(events, destination),
+    allowsWrites: () => !CB_ENABLED || bigQueryBreaker.allowsRequests(),
+    acquireWritePermit: () => (CB_ENABLED ? bigQueryBreaker.tryAcquire() : UNGUARDED_PERMIT)
+  }),
+  file: () => createFileSink()
+};
+
+let activeSink = null;
+
+/**
+ * Create a sink by type
+ * @param {string} type - 'bigquery' or 'file'
+ * @returns {{name: string, writeBatch: Function}}
+ */
+function createSink(type = SINK_TYPE) {
+  const factory = SINK_FACTORIES[type];
+  if (!factory) {
+    throw new Error(`Unknown SINK_TYPE "${type}". Expected one of: ${Object.keys(SINK_FACTORIES).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the sink selected by SINK_TYPE, creating it on first use
+ * @returns {{name: string, writeBatch: Function}}
+ */
+function getSink() {
+  if (!activeSink) {
+    activeSink = createSink();
+    logger.info('Sink initialized', { sink: activeSink.name });
+  }
+  return activeSink;
+}
+
+/**
+ * Replace the active sink (used by tests and tooling)
+ * @param {Object|null} sink - A sink object, or null to fall back to SINK_TYPE
+ */
+function setSink(sink) {
+  activeSink = sink;
+}
+
+/**
+ * Write events through the active sink
+ * @param {Array} events - Array of {envelope, processedPayload, idempotencyKey, rowContext} objects
+ * @param {{dataset: string, table: string}} destination - Target table; sinks default to BQ_DATASET.BQ_TABLE
+ * @param {{permit?: Object}} options - permit: from acquireWritePermit, so the write uses the slot it reserved
+ * @returns {Promise<Object>} - Success result with metadata, or { success: false, errors }
+ */
+function writeBatch(events, destination, options = {}) {
+  return getSink().writeBatch(events, destination, options);
+}
+
+/**
+ * Whether the active sink is currently accepting writes (false while its circuit is open)
+ * @returns {boolean}
+ */
+function allowsWrites() {
+  const sink = getSink();
+  return sink.allowsWrites ? sink.allowsWrites() : true;
+}
+
+/**
+ * Reserve a write on the active sink: check and take a half-open probe slot in one step
+ * @returns {{probe: boolean, release: function(): void}|null} - null while the sink's circuit rejects writes
+ */
+function acquireWritePermit() {
+  const sink = getSink();
+  return sink.acquireWritePermit ? sink.acquireWritePermit() : UNGUARDED_PERMIT;
+}
+
+module.exports = {
+  acquireWritePermit,
+  allowsWrites,
+  createSink,
+  getSink,
+  setSink,
+  writeBatch,
+  SINK_TYPE
+};
@@ -0,0 +1,72 @@
+// src/tableSchema.js
+// Expected schema, partitioning and clustering for the events tables, declared in code
+
+const { getProjections } = require('./projection');
+
+const PARTITION_EXPIRATION_MS = String(365 * 24 * 60 * 60 * 1000);
+
+// Columns written by createBigQueryRow, in table order. Projected columns are appended before payload.
+const BASE_FIELDS = [
+  { name: 'tenant_id', type: 'STRING' },
+  { name: 'event_type', type: 'STRING' },
+  { name: 'schema_version', type: 'INT64' },
+  { name: 'original_schema_version', type: 'INT64' },
+  { name: 'envelope_version', type: 'INT64' },
+  { name: 'trace_id', type: 'STRING' },
+  { name: 'occurred_at', type: 'TIMESTAMP' },
+  { name: 'received_at', type: 'TIMESTAMP' },
+  { name: 'source', type: 'STRING' },
+  { name: 'sampled', type: 'BOOL' },
+  { name: 'sampling_reason', type: 'STRING' },
+  { name: 'idempotencyKey', type: 'STRING' },
+  { name: 'pubsub_message_id', type: 'STRING' },
+  { name: 'pubsub_publish_time', type: 'TIMESTAMP' },
+  { name: 'pubsub_subscription', type: 'STRING' },
+  { name: 'delivery_attempt', type: 'INT64' },
+  { name: 'publish_to_receive_ms', type: 'INT64' },
+  { name: 'pubsub_attributes', type: 'JSON' }
+];
+
+// The API reports legacy SQL names in table metadata; compare on the standard SQL name.
+const TYPE_NAMES = {
+  INTEGER: 'INT64',
+  FLOAT: 'FLOAT64',
+  BOOLEAN: 'BOOL'
+};
+
+/**
+ * Normalize a BigQuery column type to its standard SQL name
+ * @param {string} type - e.g. 'INTEGER' or 'INT64'
+ * @returns {string}
+ */
+function normalizeType(type) {
+  return TYPE_NAMES[type] || type;
+}
+
+/**
+ * Build the expected table definition, including every projected column
+ * @returns {{schema: {fields: Object[]}, timePartitioning: Object, clustering: Object}}
+ */
+function getExpectedTableDefinition() {
+  const projectedFields = new Map();
+  for (const columns of Object.values(getProjections())) {
+    for (const { column, type } of columns) {
+      projectedFields.set(column, { name: column, type });
+    }
+  }
+
+  const fields = [...BASE_FIELDS, ...projectedFields.values(), { name: 'payload', type: 'JSON' }]
+    .map(field => ({ ...field, mode: 'NULLABLE' }));
+
+  return {
+    schema: { fields },
+    timePartitioning: { type: 'DAY', field: 'occurred_at', expirationMs: PARTITION_EXPIRATION_MS },
+    clustering: { fields: ['tenant_id', 'event_type'] }
+  };
+}
+
+module.exports = {
+  getExpectedTableDefinition,
+  normalizeType,
+  BASE_FIELDS
+};
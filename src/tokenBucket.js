@@ -0,0 +1,46 @@
+// src/tokenBucket.js
+// Token-bucket rate limiter shared by concurrent callers
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a token bucket that refills at ratePerSec and holds at most `burst` tokens (it starts full).
+ * Callers of take() are served in call order, so concurrent workers share the rate fairly.
+ * @param {{ratePerSec: number, burst?: number, now?: function(): number, sleep?: function(number): Promise}} options -
+ *   ratePerSec 0 (or Infinity) disables limiting
+ * @returns {{take: function(): Promise<void>}}
+ */
+function createTokenBucket({ ratePerSec, burst = Math.max(1, Math.ceil(ratePerSec)), now = Date.now, sleep = defaultSleep }) {
+  if (!ratePerSec || ratePerSec === Infinity) {
+    return { take: async () => {} };
+  }
+
+  let tokens = burst;
+  let lastRefill = now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const current = now();
+    tokens = Math.min(burst, tokens + ((current - lastRefill) / 1000) * ratePerSec);
+    lastRefill = current;
+  }
+
+  async function takeOne() {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  return {
+    take() {
+      const turn = queue.then(takeOne);
+      queue = turn;
+      return turn;
+    }
+  };
+}
+
+module.exports = { createTokenBucket };
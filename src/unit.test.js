@@ -1,7 +1,18 @@
 // Import all the functions and the server we want to test
-const { validateEnvelope, computeIdempotencyKey } = require('./validation.js');
-const { shouldSample } = require('./sampling.js');
+const { validateEnvelope, validatePayloadSchema, validateAndExtractKey, computeIdempotencyKey } = require('./validation.js');
+const {
+  shouldSample, setSamplingRules, setKeepRules, setCorrelationKeys, resolveSamplingRate, resolveSamplingKey, evaluateSampling
+} = require('./sampling.js');
 const { normalizePhone } = require('./phone.js');
+const { registerUpcaster, upcastPayload, clearUpcasters } = require('./upcasting.js');
+const { registerBuiltInUpcasters } = require('./upcasters');
+const { createBigQueryRow } = require('./bq.js');
+const { setRoutes, resolveDestination } = require('./routing.js');
+const { projectColumns, verifyProjectionSchema } = require('./projection.js');
+const { createMetricsRegistry } = require('./metrics.js');
+const { setAttributeRules, selectAttributes, extractDeliveryMetadata } = require('./delivery.js');
+const { setEscalationPolicies, applyEscalationPolicy, clearEscalationHistory } = require('./escalation.js');
+const { buildDeadLetterMessage, MAX_ATTRIBUTE_BYTES } = require('./deadLetter.js');
 const app = require('./app.js');
 
 describe('validateEnvelope', () => {
@@ -27,6 +38,45 @@ describe('validateEnvelope', () => {
     const invalidEnvelope = { ...validEnvelope, occurred_at: 'not-a-date' };
     expect(() => validateEnvelope(invalidEnvelope)).toThrow('must be a valid ISO date string');
   });
+
+  test('should reject a schema_version that is not a positive integer', () => {
+    ['abc', '1abc', 1.5, -1, true].forEach(schemaVersion => {
+      expect(() => validateEnvelope({ ...validEnvelope, schema_version: schemaVersion })).toThrow('schema_version must be a positive integer');
+    });
+    expect(() => validateEnvelope({ ...validEnvelope, schema_version: '2' })).not.toThrow();
+  });
+});
+
+describe('validatePayloadSchema', () => {
+  const baseEnvelope = {
+    envelope_version: 1,
+    event_type: 'call.metadata',
+    schema_version: 1,
+    tenant_id: 'org-demo',
+    occurred_at: '2025-08-28T12:00:00Z',
+  };
+
+  test('should accept a payload that matches its registered schema', () => {
+    const envelope = { ...baseEnvelope, payload: { call_id: 'call-001', caller: '+14155550001', duration: 42 } };
+    expect(validatePayloadSchema(envelope)).toBe(true);
+  });
+
+  test('should return field-level errors for a mismatched payload', () => {
+    const envelope = { ...baseEnvelope, payload: { call_id: 'call-001', duration: 'abc' } };
+    const result = validateAndExtractKey(envelope);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toContain('Payload failed schema validation');
+    expect(result.fieldErrors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'payload.caller' }),
+      expect.objectContaining({ field: 'payload.duration' }),
+    ]));
+  });
+
+  test('should pass payloads for event types with no registered schema', () => {
+    const envelope = { ...baseEnvelope, event_type: 'unknown.event', payload: { anything: true } };
+    expect(validatePayloadSchema(envelope)).toBe(true);
+  });
 });
 
 describe('normalizePhone', () => {
@@ -80,7 +130,396 @@ describe('shouldSample', () => {
   });
 });
 
+describe('resolveSamplingRate', () => {
+  beforeAll(() => {
+    setSamplingRules([
+      { id: 'trial-calls', tenant_id: 'org-trial', event_type: 'call.metadata', rate: 0.05 },
+      { id: 'trial', tenant_id: 'org-trial', event_type: '*', rate: 0.1 },
+      { id: 'chat', tenant_id: '*', event_type: 'chat.message', rate: 0.5 },
+      { id: 'global', tenant_id: '*', event_type: '*', rate: 0.9 },
+    ]);
+  });
+
+  afterAll(() => {
+    setSamplingRules([]);
+  });
+
+  test('should prefer the exact tenant and event type rule', () => {
+    expect(resolveSamplingRate({ tenant_id: 'org-trial', event_type: 'call.metadata' })).toEqual({ rate: 0.05, ruleId: 'trial-calls' });
+  });
+
+  test('should fall back through tenant, event type and full wildcards', () => {
+    expect(resolveSamplingRate({ tenant_id: 'org-trial', event_type: 'chat.message' })).toEqual({ rate: 0.1, ruleId: 'trial' });
+    expect(resolveSamplingRate({ tenant_id: 'org-other', event_type: 'chat.message' })).toEqual({ rate: 0.5, ruleId: 'chat' });
+    expect(resolveSamplingRate({ tenant_id: 'org-other', event_type: 'call.summary' })).toEqual({ rate: 0.9, ruleId: 'global' });
+  });
+
+  test('should reject rules with an out-of-range rate', () => {
+    expect(() => setSamplingRules([{ id: 'bad', rate: 1.5 }])).toThrow('invalid rate');
+  });
+});
+
+describe('evaluateSampling keep rules', () => {
+  const envelope = { tenant_id: 'org-demo', event_type: 'call.metadata', source: 'dialer', payload: { status: 'completed', duration: 60 } };
+
+  beforeAll(() => {
+    setKeepRules([
+      { id: 'failed-calls', field: 'payload.status', op: 'eq', value: 'failed' },
+      { id: 'long-calls', field: 'payload.duration', op: 'gt', value: 3600 },
+    ]);
+  });
+
+  afterAll(() => {
+    setKeepRules([]);
+  });
+
+  test('should force inclusion when a keep rule matches, even at a 0.0 rate', () => {
+    const failed = { ...envelope, payload: { status: 'failed', duration: 60 } };
+    expect(evaluateSampling('any-key', failed, 0.0)).toMatchObject({ sampled: true, reason: 'forced', keepRuleId: 'failed-calls' });
+
+    const long = { ...envelope, payload: { status: 'completed', duration: 7200 } };
+    expect(evaluateSampling('any-key', long, 0.0)).toMatchObject({ sampled: true, reason: 'forced', keepRuleId: 'long-calls' });
+  });
+
+  test('should fall through to the hash check when no keep rule matches', () => {
+    expect(evaluateSampling('any-key', envelope, 0.0)).toMatchObject({ sampled: false, reason: 'hashed' });
+  });
+
+  test('should reject keep rules with an unknown operator', () => {
+    expect(() => setKeepRules([{ field: 'source', op: 'like', value: 'x' }])).toThrow('Keep rule');
+  });
+});
+
+describe('correlated sampling', () => {
+  beforeAll(() => {
+    setCorrelationKeys({ 'call.metadata': 'payload.call_id', 'call.summary': 'payload.call_id', '*': 'trace_id' });
+  });
+
+  afterAll(() => {
+    setCorrelationKeys({});
+  });
+
+  test('should hash the configured correlation key instead of the idempotency key', () => {
+    const envelope = { event_type: 'call.summary', payload: { call_id: 'call-42' } };
+    expect(resolveSamplingKey('summary-key', envelope)).toEqual({ key: 'call-42', field: 'payload.call_id' });
+  });
+
+  test('should fall back to the wildcard and then the idempotency key', () => {
+    expect(resolveSamplingKey('msg-1', { event_type: 'chat.message', trace_id: 'trace-9', payload: {} }))
+      .toEqual({ key: 'trace-9', field: 'trace_id' });
+    expect(resolveSamplingKey('msg-1', { event_type: 'chat.message', payload: {} }))
+      .toEqual({ key: 'msg-1', field: 'idempotencyKey' });
+  });
+
+  test('should force a kept event without extending the keep decision to the rest of its call', () => {
+    setKeepRules([{ id: 'failed-calls', field: 'payload.status', op: 'eq', value: 'failed' }]);
+    try {
+      const summary = evaluateSampling('summary-key', { event_type: 'call.summary', payload: { call_id: 'call-9', status: 'failed' } }, 0.0);
+      const metadata = evaluateSampling('metadata-key', { event_type: 'call.metadata', payload: { call_id: 'call-9', status: 'completed' } }, 0.0);
+
+      expect(summary).toMatchObject({ sampled: true, reason: 'forced', keepRuleId: 'failed-calls', correlationField: 'payload.call_id' });
+      expect(metadata).toMatchObject({ sampled: false, reason: 'hashed', correlationField: 'payload.call_id' });
+    } finally {
+      setKeepRules([]);
+    }
+  });
+
+  test('should give every event of one call the same decision', () => {
+    const decisions = ['call.metadata', 'call.summary'].flatMap(eventType =>
+      ['key-a', 'key-b', 'key-c'].map(key =>
+        evaluateSampling(key, { event_type: eventType, payload: { call_id: 'call-session-7' } }, 0.5).sampled));
+    expect(new Set(decisions).size).toBe(1);
+  });
+});
+
+describe('upcastPayload', () => {
+  beforeEach(() => {
+    clearUpcasters();
+    registerUpcaster('call.metadata', 1, payload => ({ ...payload, duration_sec: payload.duration }));
+    registerUpcaster('call.metadata', 2, payload => ({ ...payload, status: payload.status || 'unknown' }));
+  });
+
+  afterAll(() => {
+    clearUpcasters();
+    registerBuiltInUpcasters();
+  });
+
+  test('should chain upcasters from the sent version to the latest', () => {
+    const result = upcastPayload('call.metadata', 1, { call_id: 'call-001', duration: 30 });
+    expect(result).toEqual({
+      payload: { call_id: 'call-001', duration: 30, duration_sec: 30, status: 'unknown' },
+      originalVersion: 1,
+      effectiveVersion: 3,
+    });
+  });
+
+  test('should leave event types without upcasters untouched', () => {
+    const payload = { message_id: 'msg-001' };
+    expect(upcastPayload('chat.message', '2', payload)).toEqual({ payload, originalVersion: 2, effectiveVersion: 2 });
+  });
+
+  test('should reject versions with no upcaster path', () => {
+    expect(() => upcastPayload('call.metadata', 0, {})).toThrow('No upcaster path');
+    expect(() => upcastPayload('call.metadata', 4, {})).toThrow('No upcaster path');
+  });
+
+  test('should reject a schema_version that is not a number instead of storing it as the latest', () => {
+    expect(() => upcastPayload('call.metadata', 'abc', {})).toThrow('No upcaster path');
+    expect(() => upcastPayload('call.metadata', undefined, {})).toThrow('No upcaster path');
+  });
+
+  test('should record original and effective versions on the row', () => {
+    const envelope = { tenant_id: 'org-demo', event_type: 'call.metadata', schema_version: '1', envelope_version: 1 };
+    const row = createBigQueryRow(envelope, {}, 'key-1', { effectiveSchemaVersion: 3 });
+    expect(row.schema_version).toBe(3);
+    expect(row.original_schema_version).toBe(1);
+  });
+});
+
+describe('delivery metadata', () => {
+  afterAll(() => {
+    setAttributeRules({});
+  });
+
+  test('should read snake_case push fields and compute publish-to-receive latency', () => {
+    const delivery = extractDeliveryMetadata(
+      { message_id: 'm-1', publish_time: '2025-08-28T12:00:00.000Z', attributes: { origin: 'pbx' } },
+      { subscription: 'projects/demo/subscriptions/call-etl-sub', deliveryAttempt: '2' },
+      Date.parse('2025-08-28T12:00:01.250Z')
+    );
+    expect(delivery).toEqual({
+      messageId: 'm-1',
+      publishTime: '2025-08-28T12:00:00.000Z',
+      subscription: 'projects/demo/subscriptions/call-etl-sub',
+      deliveryAttempt: 2,
+      attributes: { origin: 'pbx' },
+      publishToReceiveMs: 1250
+    });
+  });
+
+  test('should pass through only the attributes configured for the event type', () => {
+    setAttributeRules({ 'call.metadata': ['origin', 'region'], '*': [], 'chat.message': ['*'] });
+    const attributes = { origin: 'pbx', secret: 'x' };
+    expect(selectAttributes('call.metadata', attributes)).toEqual({ origin: 'pbx' });
+    expect(selectAttributes('chat.message', attributes)).toEqual(attributes);
+    expect(selectAttributes('call.summary', attributes)).toBeNull();
+  });
+
+  test('should write delivery columns on the row', () => {
+    const envelope = { tenant_id: 'org-demo', event_type: 'call.metadata', schema_version: 1, envelope_version: 1, occurred_at: '2025-08-28T12:00:00Z' };
+    const row = createBigQueryRow(envelope, {}, 'key-1', {
+      receivedAt: '2025-08-28T12:00:02.000Z',
+      delivery: { messageId: 'm-1', publishTime: '2025-08-28T12:00:01.000Z', subscription: 'sub', deliveryAttempt: 4, publishToReceiveMs: 1000, attributes: { origin: 'pbx' } }
+    });
+    expect(row).toMatchObject({
+      received_at: '2025-08-28T12:00:02.000Z',
+      pubsub_message_id: 'm-1',
+      pubsub_publish_time: '2025-08-28T12:00:01.000Z',
+      pubsub_subscription: 'sub',
+      delivery_attempt: 4,
+      publish_to_receive_ms: 1000,
+      pubsub_attributes: '{"origin":"pbx"}'
+    });
+  });
+});
+
+describe('applyEscalationPolicy', () => {
+  const transient = { isTerminal: false, statusCode: 503, errorType: 'transient_error' };
+
+  beforeAll(() => {
+    setEscalationPolicies({
+      transient_error: { maxAttempts: 3, retryAfterBaseSec: 10, retryAfterMaxSec: 30 },
+      circuit_open: { retryAfterBaseSec: 5 }
+    });
+  });
+
+  afterAll(() => {
+    setEscalationPolicies({});
+    clearEscalationHistory();
+  });
+
+  test('should hint an exponential retry delay below the attempt limit', () => {
+    expect(applyEscalationPolicy(transient, { messageId: 'm-1', deliveryAttempt: 1 }, 'boom').retryAfterSec).toBe(10);
+    expect(applyEscalationPolicy(transient, { messageId: 'm-1', deliveryAttempt: 2 }, 'boom')).toMatchObject({ isTerminal: false, statusCode: 503, retryAfterSec: 20 });
+  });
+
+  test('should escalate a transient failure to terminal once the attempt limit is reached', () => {
+    expect(applyEscalationPolicy(transient, { messageId: 'm-1', deliveryAttempt: 3 }, 'boom'))
+      .toMatchObject({ isTerminal: true, statusCode: 422, escalated: true, escalatedFrom: 503, errorType: 'transient_error' });
+  });
+
+  test('should leave terminal failures, unknown attempts and unconfigured error types alone', () => {
+    const terminal = { isTerminal: true, statusCode: 400, errorType: 'validation_error' };
+    expect(applyEscalationPolicy(terminal, { deliveryAttempt: 9 }, 'bad')).toBe(terminal);
+    expect(applyEscalationPolicy(transient, { deliveryAttempt: null }, 'boom')).toMatchObject({ isTerminal: false, retryAfterSec: 10 });
+    const other = { isTerminal: false, statusCode: 500, errorType: 'unexpected_error' };
+    expect(applyEscalationPolicy(other, { deliveryAttempt: 9 }, 'boom')).toBe(other);
+  });
+
+  test('should reject a policy that escalates to a non-4xx status', () => {
+    expect(() => setEscalationPolicies({ transient_error: { maxAttempts: 2, terminalStatusCode: 200 } })).toThrow('4xx');
+  });
+
+  test('should only hint a retry delay for circuit_open failures', () => {
+    const circuitOpen = { isTerminal: false, statusCode: 503, errorType: 'circuit_open' };
+    expect(applyEscalationPolicy(circuitOpen, { messageId: 'm-2', deliveryAttempt: 3 }, 'open'))
+      .toMatchObject({ isTerminal: false, statusCode: 503, retryAfterSec: 20 });
+    expect(() => setEscalationPolicies({ circuit_open: { maxAttempts: 2 } })).toThrow('never escalated');
+  });
+});
+
+describe('buildDeadLetterMessage', () => {
+  const message = {
+    data: Buffer.from('{"tenant_id":"org-demo"}').toString('base64'),
+    attributes: { origin: 'pbx', googclient_schemaencoding: 'JSON' },
+    orderingKey: 'call-001'
+  };
+
+  test('should keep the original data and attributes and tag the failure reason', () => {
+    const deadLetter = buildDeadLetterMessage(message, {
+      errorType: 'validation_error',
+      statusCode: 400,
+      error: 'Payload failed schema validation',
+      fieldErrors: [{ field: 'payload.duration', message: 'must be integer' }]
+    }, { messageId: 'm-1', subscription: 'projects/demo/subscriptions/call-etl-sub', deliveryAttempt: 2 });
+
+    expect(deadLetter.data.toString()).toBe('{"tenant_id":"org-demo"}');
+    expect(deadLetter.orderingKey).toBe('call-001');
+    expect(deadLetter.attributes).toMatchObject({
+      origin: 'pbx',
+      'x-error-type': 'validation_error',
+      'x-error-status-code': '400',
+      'x-error-message': 'Payload failed schema validation',
+      'x-original-message-id': 'm-1',
+      'x-original-subscription': 'projects/demo/subscriptions/call-etl-sub',
+      'x-delivery-attempt': '2',
+      'x-validation-details': '[{"field":"payload.duration","message":"must be integer"}]'
+    });
+    expect(deadLetter.attributes).not.toHaveProperty('googclient_schemaencoding');
+    expect(Number.isNaN(Date.parse(deadLetter.attributes['x-failed-at']))).toBe(false);
+  });
+
+  test('should keep attribute values within the Pub/Sub size limit', () => {
+    const fieldErrors = Array.from({ length: 50 }, (_, i) => ({ field: `payload.field_${i}`, message: 'must be string' }));
+    const deadLetter = buildDeadLetterMessage(message, { errorType: 'validation_error', statusCode: 400, error: 'x'.repeat(5000), fieldErrors });
+
+    expect(Buffer.byteLength(deadLetter.attributes['x-error-message'])).toBeLessThanOrEqual(MAX_ATTRIBUTE_BYTES);
+    expect(Buffer.byteLength(deadLetter.attributes['x-validation-details'])).toBeLessThanOrEqual(MAX_ATTRIBUTE_BYTES);
+    expect(JSON.parse(deadLetter.attributes['x-validation-details']).length).toBeGreaterThan(0);
+    expect(deadLetter.attributes['x-validation-details-truncated']).toBe('true');
+  });
+});
+
+describe('resolveDestination', () => {
+  beforeAll(() => {
+    setRoutes([
+      { id: 'vip-calls', tenant_id: 'org-vip', event_type: 'call.*', dataset: 'vip_dw', table: 'calls' },
+      { id: 'chat', event_type: 'chat.message', table: 'chat_messages' },
+    ]);
+  });
+
+  afterAll(() => {
+    setRoutes([]);
+  });
+
+  test('should match tenant and event type patterns in order', () => {
+    expect(resolveDestination({ tenant_id: 'org-vip', event_type: 'call.summary' }))
+      .toEqual({ dataset: 'vip_dw', table: 'calls', routeId: 'vip-calls' });
+    expect(resolveDestination({ tenant_id: 'org-vip', event_type: 'chat.message' }))
+      .toEqual({ dataset: 'drivehealth_dw', table: 'chat_messages', routeId: 'chat' });
+  });
+
+  test('should fall back to BQ_DATASET and BQ_TABLE', () => {
+    expect(resolveDestination({ tenant_id: 'org-demo', event_type: 'call.metadata' }))
+      .toEqual({ dataset: 'drivehealth_dw', table: 'events', routeId: 'default' });
+  });
+
+  test('should reject dataset and table names BigQuery would not accept', () => {
+    expect(() => setRoutes([{ id: 'bad-dataset', dataset: 'vip-dw', table: 'calls' }]))
+      .toThrow('Route bad-dataset has an invalid dataset name: vip-dw');
+    expect(() => setRoutes([{ id: 'bad-table', table: 'calls.2025' }]))
+      .toThrow('Route bad-table has an invalid table name: calls.2025');
+    expect(() => setRoutes([{ id: 'dashed', table: 'call-summaries 2025' }])).not.toThrow();
+  });
+});
+
+describe('projectColumns', () => {
+  test('should copy and coerce payload fields into typed columns', () => {
+    expect(projectColumns('call.metadata', { caller: '+14155550001', duration: '123.9', status: 'completed' }))
+      .toEqual({ caller_e164: '+14155550001', duration_sec: 123, call_status: 'completed' });
+  });
+
+  test('should null out missing or non-coercible values', () => {
+    expect(projectColumns('call.summary', { duration: 'abc' }))
+      .toEqual({ caller_e164: null, duration_sec: null, call_status: null });
+  });
+
+  test('should keep the raw payload alongside the projected columns', () => {
+    const envelope = { tenant_id: 'org-demo', event_type: 'call.metadata', schema_version: 1, envelope_version: 1 };
+    const row = createBigQueryRow(envelope, { caller: '+14155550001', duration: 30 }, 'key-1');
+    expect(row.duration_sec).toBe(30);
+    expect(JSON.parse(row.payload)).toEqual({ caller: '+14155550001', duration: 30 });
+  });
+});
+
+describe('verifyProjectionSchema', () => {
+  const destinations = () => [{ dataset: 'drivehealth_dw', table: 'events' }];
+
+  test('should pass when every projected column exists with a compatible type', async () => {
+    const fetchTableInfo = async () => ({
+      schema: { fields: [{ name: 'caller_e164', type: 'STRING' }, { name: 'duration_sec', type: 'INTEGER' }, { name: 'call_status', type: 'STRING' }] },
+    });
+    await expect(verifyProjectionSchema(fetchTableInfo, destinations)).resolves.toBeUndefined();
+  });
+
+  test('should fail fast on a missing or mistyped column', async () => {
+    const fetchTableInfo = async () => ({
+      schema: { fields: [{ name: 'caller_e164', type: 'STRING' }, { name: 'duration_sec', type: 'STRING' }] },
+    });
+    await expect(verifyProjectionSchema(fetchTableInfo, destinations))
+      .rejects.toThrow(/duration_sec is STRING in the table but projected as INT64.*call_status \(STRING\) is missing/);
+  });
+});
+
 // Server integration tests
+describe('createMetricsRegistry', () => {
+  test('should render counters with escaped labels in Prometheus text format', () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter({ name: 'test_total', help: 'Test counter.', labelNames: ['tenant_id'] });
+    counter.inc({ tenant_id: 'org-"demo"' });
+    counter.inc({ tenant_id: 'org-"demo"' }, 2);
+
+    expect(registry.render()).toBe([
+      '# HELP test_total Test counter.',
+      '# TYPE test_total counter',
+      'test_total{tenant_id="org-\\"demo\\""} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('should render cumulative histogram buckets with sum and count', () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram({ name: 'test_seconds', help: 'Test histogram.', buckets: [1, 5] });
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+    histogram.observe({}, 10);
+
+    expect(registry.render()).toContain([
+      'test_seconds_bucket{le="1"} 1',
+      'test_seconds_bucket{le="5"} 2',
+      'test_seconds_bucket{le="+Inf"} 3',
+      'test_seconds_sum 13.5',
+      'test_seconds_count 3'
+    ].join('\n'));
+  });
+
+  test('should reject registering the same metric name twice', () => {
+    const registry = createMetricsRegistry();
+    registry.counter({ name: 'test_total', help: 'Test counter.' });
+    expect(() => registry.counter({ name: 'test_total', help: 'Again.' })).toThrow('already registered');
+  });
+});
+
 describe('Server Health Check', () => {
   // fix: No need for beforeAll/afterAll. Supertest handles the server.
   test('should respond to health check', async () => {
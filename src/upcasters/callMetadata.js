@@ -0,0 +1,29 @@
+// src/upcasters/callMetadata.js
+// call.metadata upcasters
+
+/**
+ * v1 -> v2: `status` becomes a required lowercase string ('unknown' when the producer didn't send one)
+ * and `duration` is whole seconds.
+ * @param {Object} payload - A call.metadata v1 payload
+ * @returns {Object} - The payload in the v2 shape
+ */
+function callMetadataV1ToV2(payload) {
+  const upcast = { ...payload };
+  upcast.status = typeof payload.status === 'string' && payload.status.trim() !== ''
+    ? payload.status.trim().toLowerCase()
+    : 'unknown';
+  if (payload.duration !== undefined) {
+    const duration = Number(payload.duration);
+    if (!Number.isFinite(duration) || duration < 0) {
+      throw new Error(`duration must be a non-negative number, got ${JSON.stringify(payload.duration)}`);
+    }
+    upcast.duration = Math.round(duration);
+  }
+  return upcast;
+}
+
+module.exports = {
+  'call.metadata': {
+    1: callMetadataV1ToV2
+  }
+};
@@ -0,0 +1,30 @@
+// src/upcasters/index.js
+// Built-in upcasters, registered when the handler loads. Add a module per event type and list it here.
+
+const { registerUpcaster } = require('../upcasting');
+
+// Each module maps event_type -> { fromVersion: upcaster }
+const UPCASTER_MODULES = [
+  require('./callMetadata')
+];
+
+/**
+ * Register every built-in upcaster (also used by tests to restore them after clearUpcasters)
+ * @returns {number} - Number of upcasters registered
+ */
+function registerBuiltInUpcasters() {
+  let registered = 0;
+  for (const upcasterModule of UPCASTER_MODULES) {
+    for (const [eventType, chain] of Object.entries(upcasterModule)) {
+      for (const [fromVersion, upcaster] of Object.entries(chain)) {
+        registerUpcaster(eventType, fromVersion, upcaster);
+        registered++;
+      }
+    }
+  }
+  return registered;
+}
+
+registerBuiltInUpcasters();
+
+module.exports = { registerBuiltInUpcasters };
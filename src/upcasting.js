@@ -0,0 +1,123 @@
+// src/upcasting.js
+// Schema-version upcasting so every event type is stored in its latest payload shape
+
+const { logger } = require('./logger');
+
+// eventType -> Map(fromVersion -> upcaster function)
+const upcasters = new Map();
+
+/**
+ * Register an upcaster that converts a payload from one schema version to the next
+ * @param {string} eventType - The event type (e.g. 'call.metadata')
+ * @param {number} fromVersion - The version the upcaster accepts; it produces fromVersion + 1
+ * @param {Function} upcaster - (payload) => payload in the next version's shape
+ */
+function registerUpcaster(eventType, fromVersion, upcaster) {
+  if (!upcasters.has(eventType)) {
+    upcasters.set(eventType, new Map());
+  }
+  upcasters.get(eventType).set(parseInt(fromVersion, 10), upcaster);
+}
+
+/**
+ * Get the version an event type is upcast to (one past its highest registered upcaster)
+ * @param {string} eventType - The event type
+ * @returns {number|null} - The target version, or null if the event type has no upcasters
+ */
+function getTargetVersion(eventType) {
+  const chain = upcasters.get(eventType);
+  if (!chain || chain.size === 0) return null;
+  return Math.max(...chain.keys()) + 1;
+}
+
+/**
+ * Parse a producer-sent schema_version: a positive integer, as a number or a string of digits
+ * @param {number|string} schemaVersion
+ * @returns {number|null} - The version, or null if it is not a positive integer
+ */
+function parseSchemaVersion(schemaVersion) {
+  const version = typeof schemaVersion === 'string' && /^\d+$/.test(schemaVersion.trim())
+    ? Number(schemaVersion)
+    : schemaVersion;
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Wrap an error thrown by an upcaster. The same payload would fail the same way on every retry,
+ * so the handler treats it as terminal bad data.
+ * @param {string} eventType - The event type
+ * @param {number} fromVersion - The version the failing upcaster accepts
+ * @param {Error} cause - What the upcaster threw
+ * @returns {Error}
+ */
+function createUpcastError(eventType, fromVersion, cause) {
+  const error = new Error(`Upcaster for ${eventType} v${fromVersion} -> v${fromVersion + 1} failed: ${cause.message}`);
+  error.name = 'UpcastError';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Run a payload through the upcaster chain for its event type
+ * @param {string} eventType - The event type
+ * @param {number|string} schemaVersion - The version the producer sent
+ * @param {Object} payload - The processed payload
+ * @returns {Object} - { payload, originalVersion, effectiveVersion }
+ * @throws {Error} - If there is no upcaster path from the sent version to the target version,
+ *   or an UpcastError if an upcaster throws
+ */
+function upcastPayload(eventType, schemaVersion, payload) {
+  const originalVersion = parseSchemaVersion(schemaVersion);
+  const targetVersion = getTargetVersion(eventType);
+
+  // Event types without upcasters are stored exactly as sent.
+  if (targetVersion === null) {
+    return { payload, originalVersion, effectiveVersion: originalVersion };
+  }
+
+  // validateEnvelope rejects these first; without a version there is no chain to start from.
+  if (originalVersion === null) {
+    throw new Error(`No upcaster path for ${eventType} from schema_version ${JSON.stringify(schemaVersion)} to v${targetVersion}`);
+  }
+
+  if (originalVersion > targetVersion) {
+    throw new Error(`No upcaster path for ${eventType} from v${originalVersion} to v${targetVersion}`);
+  }
+
+  const chain = upcasters.get(eventType);
+  let current = payload;
+  for (let version = originalVersion; version < targetVersion; version++) {
+    const upcaster = chain.get(version);
+    if (!upcaster) {
+      throw new Error(`No upcaster path for ${eventType} from v${originalVersion} to v${targetVersion}`);
+    }
+    try {
+      current = upcaster(current);
+    } catch (error) {
+      throw createUpcastError(eventType, version, error);
+    }
+  }
+
+  if (originalVersion !== targetVersion) {
+    logger.debug('Payload upcast', {
+      event_type: eventType,
+      original_schema_version: originalVersion,
+      effective_schema_version: targetVersion
+    });
+  }
+
+  return { payload: current, originalVersion, effectiveVersion: targetVersion };
+}
+
+function clearUpcasters() {
+  upcasters.clear();
+}
+
+module.exports = {
+  registerUpcaster,
+  getTargetVersion,
+  upcastPayload,
+  createUpcastError,
+  parseSchemaVersion,
+  clearUpcasters
+};
@@ -2,6 +2,8 @@
 // Envelope validation and idempotency key computation
 
 const { logger } = require('./logger');
+const { validatePayload } = require('./schemaRegistry');
+const { parseSchemaVersion } = require('./upcasting');
 
 /**
  * Validates the envelope structure and required fields
@@ -20,10 +22,33 @@ function validateEnvelope(envelope) {
   if (isNaN(Date.parse(envelope.occurred_at))) {
     throw new Error('occurred_at must be a valid ISO date string');
   }
+
+  if (parseSchemaVersion(envelope.schema_version) === null) {
+    throw new Error(`schema_version must be a positive integer, got ${JSON.stringify(envelope.schema_version)}`);
+  }
   
   return true;
 }
 
+/**
+ * Validates the payload against the registered schema for its event type and version
+ * @param {Object} envelope - The event envelope
+ * @returns {boolean} - True if valid
+ * @throws {Error} - If the payload does not match its schema; carries fieldErrors
+ */
+function validatePayloadSchema(envelope) {
+  const result = validatePayload(envelope.event_type, envelope.schema_version, envelope.payload);
+
+  if (!result.isValid) {
+    const details = result.errors.map(e => `${e.field} ${e.message}`).join(', ');
+    const error = new Error(`Payload failed schema validation: ${details}`);
+    error.fieldErrors = result.errors;
+    throw error;
+  }
+
+  return true;
+}
+
 /**
  * Computes idempotency key from payload
  * @param {Object} envelope - The event envelope
@@ -44,7 +69,7 @@ function computeIdempotencyKey(envelope) {
 /**
  * Validates and extracts idempotency key from envelope
  * @param {Object} envelope - The event envelope
- * @returns {Object} - { isValid: boolean, idempotencyKey: string, errors: string[] }
+ * @returns {Object} - { isValid: boolean, idempotencyKey: string, errors: string[], fieldErrors: Object[] }
  */
 function validateAndExtractKey(envelope) {
   const errors = [];
@@ -52,21 +77,24 @@ function validateAndExtractKey(envelope) {
   
   try {
     validateEnvelope(envelope);
+    validatePayloadSchema(envelope);
     idempotencyKey = computeIdempotencyKey(envelope);
-    return { isValid: true, idempotencyKey, errors: [] };
+    return { isValid: true, idempotencyKey, errors: [], fieldErrors: [] };
   } catch (error) {
     errors.push(error.message);
     logger.warn('Validation failed', { 
       error: error.message,
       tenant_id: envelope?.tenant_id,
-      event_type: envelope?.event_type 
+      event_type: envelope?.event_type,
+      field_errors: error.fieldErrors
     });
-    return { isValid: false, idempotencyKey, errors };
+    return { isValid: false, idempotencyKey, errors, fieldErrors: error.fieldErrors || [] };
   }
 }
 
 module.exports = {
   validateEnvelope,
+  validatePayloadSchema,
   computeIdempotencyKey,
   validateAndExtractKey
 };
\ No newline at end of file